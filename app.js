@@ -10,19 +10,43 @@ const App = {
         selectedEntryId: null,
         searchQuery: '',
         filterType: 'all',
-        filterTag: 'all'
+        filterTag: 'all',
+        filterLoader: 'all',
+        filterTapeLength: 'all',
+        datReport: null, // Last DAT verification report
+        libraryReport: null, // Last library verification report
+        disconnectedRoots: [], // Stored folders waiting for permission
+        pendingRescan: null, // Rescan diff waiting for confirmation
+        editingMetadata: false, // Detail panel shows the edit form
+        multiSelection: new Set(), // IDs of games picked for bulk actions
+        selectionAnchorId: null, // Last clicked game, where shift-click ranges start
+        resultIds: [], // IDs of the rendered results, in display order
+        metadataRevert: null // { entryId, values } from before the last saved edit
     },
 
     // DOM element references
     elements: {},
 
+    // Incremented per render so a slow search can't overwrite a newer one
+    renderId: 0,
+
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         this.cacheElements();
         this.bindEvents();
+
+        try {
+            await Catalog.init();
+            await Roots.load();
+        } catch (error) {
+            console.error('Error opening catalog database:', error);
+            this.showToast('Could not open the catalog database. Changes will not be saved.', 'error');
+        }
+
         this.loadSettings();
+        await this.restoreFolders();
         this.render();
         this.updateStats();
 
@@ -45,9 +69,28 @@ const App = {
             searchInput: document.getElementById('search-input'),
             filterType: document.getElementById('filter-type'),
             filterTags: document.getElementById('filter-tags'),
+            filterLoader: document.getElementById('filter-loader'),
+            filterTapeLength: document.getElementById('filter-tape-length'),
 
             // Buttons
             btnGridView: document.getElementById('btn-grid-view'),
+            selectBy: document.getElementById('select-by'),
+            bulkBar: document.getElementById('bulk-bar'),
+            bulkCount: document.getElementById('bulk-count'),
+            btnBulkEdit: document.getElementById('btn-bulk-edit'),
+            btnBulkLookup: document.getElementById('btn-bulk-lookup'),
+            btnBulkLibrary: document.getElementById('btn-bulk-library'),
+            btnBulkRemove: document.getElementById('btn-bulk-remove'),
+            btnBulkClear: document.getElementById('btn-bulk-clear'),
+            bulkEditTitle: document.getElementById('bulk-edit-title'),
+            bulkAddTags: document.getElementById('bulk-add-tags'),
+            bulkRemoveTags: document.getElementById('bulk-remove-tags'),
+            bulkYear: document.getElementById('bulk-year'),
+            bulkPublisher: document.getElementById('bulk-publisher'),
+            bulkGenre: document.getElementById('bulk-genre'),
+            btnCloseBulkEdit: document.getElementById('btn-close-bulk-edit'),
+            btnBulkEditCancel: document.getElementById('btn-bulk-edit-cancel'),
+            btnBulkEditApply: document.getElementById('btn-bulk-edit-apply'),
             btnListView: document.getElementById('btn-list-view'),
             btnSettings: document.getElementById('btn-settings'),
             btnScan: document.getElementById('btn-scan'),
@@ -57,27 +100,59 @@ const App = {
             detailPanel: document.getElementById('detail-panel'),
             detailBoxart: document.getElementById('detail-boxart'),
             detailArtworkPlaceholder: document.getElementById('detail-artwork-placeholder'),
+            detailInfo: document.getElementById('detail-info'),
             detailTitle: document.getElementById('detail-title'),
             detailYear: document.getElementById('detail-year'),
             detailType: document.getElementById('detail-type'),
             detailPublisher: document.getElementById('detail-publisher'),
+            detailAbout: document.getElementById('detail-about'),
+            detailDescription: document.getElementById('detail-description'),
+            btnEditMetadata: document.getElementById('btn-edit-metadata'),
+            btnRevertMetadata: document.getElementById('btn-revert-metadata'),
+            detailEdit: document.getElementById('detail-edit'),
+            btnCancelEdit: document.getElementById('btn-cancel-edit'),
             detailFilename: document.getElementById('detail-filename'),
             detailPath: document.getElementById('detail-path'),
+            detailProgram: document.getElementById('detail-program'),
+            detailProgramInfo: document.getElementById('detail-program-info'),
+            detailRelease: document.getElementById('detail-release'),
+            detailCorrupt: document.getElementById('detail-corrupt'),
+            detailMissing: document.getElementById('detail-missing'),
+            detailVerification: document.getElementById('detail-verification'),
+            detailCartridge: document.getElementById('detail-cartridge'),
+            detailCartridgeInfo: document.getElementById('detail-cartridge-info'),
+            detailTape: document.getElementById('detail-tape'),
+            detailTapeInfo: document.getElementById('detail-tape-info'),
+            detailVariants: document.getElementById('detail-variants'),
+            detailVariantsList: document.getElementById('detail-variants-list'),
+            detailDiskSet: document.getElementById('detail-disk-set'),
+            detailDiskSetList: document.getElementById('detail-disk-set-list'),
+            btnDownloadPlaylist: document.getElementById('btn-download-playlist'),
+            btnSavePlaylist: document.getElementById('btn-save-playlist'),
+            detailHashes: document.getElementById('detail-hashes'),
+            detailHashesInfo: document.getElementById('detail-hashes-info'),
+            detailDirectory: document.getElementById('detail-directory'),
+            detailDirectoryListing: document.getElementById('detail-directory-listing'),
             detailTagsContainer: document.getElementById('detail-tags-container'),
             detailNotes: document.getElementById('detail-notes'),
+            detailLaunchProfile: document.getElementById('detail-launch-profile'),
             btnCloseDetail: document.getElementById('btn-close-detail'),
             btnLaunch: document.getElementById('btn-launch'),
             btnCopyPath: document.getElementById('btn-copy-path'),
+            btnOpenFolder: document.getElementById('btn-open-folder'),
             btnRemove: document.getElementById('btn-remove'),
             btnAddTag: document.getElementById('btn-add-tag'),
 
             // Settings Modal
             settingsModal: document.getElementById('settings-modal'),
             btnCloseSettings: document.getElementById('btn-close-settings'),
-            emulatorPath: document.getElementById('emulator-path'),
-            btnBrowseEmulator: document.getElementById('btn-browse-emulator'),
+            launchProfiles: document.getElementById('launch-profiles'),
+            launchDefaults: document.getElementById('launch-defaults'),
+            settingLaunchHelperUrl: document.getElementById('setting-launch-helper-url'),
             btnExport: document.getElementById('btn-export'),
             btnImport: document.getElementById('btn-import'),
+            btnLoadDat: document.getElementById('btn-load-dat'),
+            scanRootsList: document.getElementById('scan-roots-list'),
             settingAutoFetchArt: document.getElementById('setting-auto-fetch-art'),
             settingCacheArt: document.getElementById('setting-cache-art'),
             btnClearCatalog: document.getElementById('btn-clear-catalog'),
@@ -88,21 +163,52 @@ const App = {
             librarySettings: document.getElementById('library-settings'),
             libraryPath: document.getElementById('library-path'),
             btnBrowseLibrary: document.getElementById('btn-browse-library'),
+            libraryDiskPath: document.getElementById('library-disk-path'),
+            libraryTemplate: document.getElementById('library-template'),
+            libraryTemplatePreview: document.getElementById('library-template-preview'),
+            btnApplyLibraryTemplate: document.getElementById('btn-apply-library-template'),
             libraryStats: document.getElementById('library-stats'),
             libraryGameCount: document.getElementById('library-game-count'),
             librarySize: document.getElementById('library-size'),
             btnOrganizeExisting: document.getElementById('btn-organize-existing'),
+            btnVerifyLibrary: document.getElementById('btn-verify-library'),
+            btnImportLibrary: document.getElementById('btn-import-library'),
+            libraryVerifyCounts: document.getElementById('library-verify-counts'),
+            libraryVerifySections: document.getElementById('library-verify-sections'),
+            btnRecopyMissing: document.getElementById('btn-recopy-missing'),
+            btnRecopyCorrupted: document.getElementById('btn-recopy-corrupted'),
+            btnImportOrphans: document.getElementById('btn-import-orphans'),
+            btnClearStale: document.getElementById('btn-clear-stale'),
+            btnCloseLibraryVerify: document.getElementById('btn-close-library-verify'),
+            libraryCopyCounts: document.getElementById('library-copy-counts'),
+            libraryCopySections: document.getElementById('library-copy-sections'),
+            libraryCopyTitle: document.getElementById('library-copy-title'),
+            btnCloseLibraryCopy: document.getElementById('btn-close-library-copy'),
 
             // Tag Modal
             tagModal: document.getElementById('tag-modal'),
             newTagInput: document.getElementById('new-tag'),
             btnConfirmTag: document.getElementById('btn-confirm-tag'),
 
+            // Scan Options Modal
+            zipRules: document.getElementById('zip-rules'),
+            zipRulePatterns: document.getElementById('zip-rule-patterns'),
+            zipRuleMaxSize: document.getElementById('zip-rule-max-size'),
+            btnCloseScanOptions: document.getElementById('btn-close-scan-options'),
+            btnScanOptionsCancel: document.getElementById('btn-scan-options-cancel'),
+            btnScanOptionsStart: document.getElementById('btn-scan-options-start'),
+
             // Scan Modal
             scanModal: document.getElementById('scan-modal'),
             scanStatusText: document.getElementById('scan-status-text'),
             scanCount: document.getElementById('scan-count'),
             scanProgressFill: document.getElementById('scan-progress-fill'),
+            btnScanCancel: document.getElementById('btn-scan-cancel'),
+
+            // Scan Summary Modal
+            scanSummaryCounts: document.getElementById('scan-summary-counts'),
+            scanSummarySections: document.getElementById('scan-summary-sections'),
+            btnCloseScanSummary: document.getElementById('btn-close-scan-summary'),
 
             // ZIP Modal
             zipModal: document.getElementById('zip-modal'),
@@ -111,11 +217,32 @@ const App = {
             btnZipSkip: document.getElementById('btn-zip-skip'),
             btnZipExtract: document.getElementById('btn-zip-extract'),
 
+            // Rescan Modal
+            rescanRootName: document.getElementById('rescan-root-name'),
+            rescanSummary: document.getElementById('rescan-summary'),
+            rescanSections: document.getElementById('rescan-sections'),
+            btnRescanCancel: document.getElementById('btn-rescan-cancel'),
+            btnRescanApply: document.getElementById('btn-rescan-apply'),
+
+            // DAT Modal
+            datReportName: document.getElementById('dat-report-name'),
+            datReportSummary: document.getElementById('dat-report-summary'),
+            datReportSections: document.getElementById('dat-report-sections'),
+            btnDownloadDatReport: document.getElementById('btn-download-dat-report'),
+
+            // Reconnect Bar
+            reconnectBar: document.getElementById('reconnect-bar'),
+            reconnectMessage: document.getElementById('reconnect-message'),
+            btnReconnect: document.getElementById('btn-reconnect'),
+            btnReconnectDismiss: document.getElementById('btn-reconnect-dismiss'),
+
             // Stats
             statTotal: document.getElementById('stat-total'),
             statDisk: document.getElementById('stat-disk'),
             statTape: document.getElementById('stat-tape'),
             statCart: document.getElementById('stat-cart'),
+            statProgram: document.getElementById('stat-program'),
+            statContainer: document.getElementById('stat-container'),
 
             // Toast container
             toastContainer: document.getElementById('toast-container')
@@ -130,6 +257,20 @@ const App = {
         this.elements.btnGridView.addEventListener('click', () => this.setViewMode('grid'));
         this.elements.btnListView.addEventListener('click', () => this.setViewMode('list'));
 
+        // Multi-selection and bulk actions
+        this.elements.selectBy.addEventListener('change', (e) => {
+            this.selectByFilter(e.target.value);
+            e.target.value = '';
+        });
+        this.elements.btnBulkEdit.addEventListener('click', () => this.openBulkEdit());
+        this.elements.btnBulkLookup.addEventListener('click', () => this.bulkLookup());
+        this.elements.btnBulkLibrary.addEventListener('click', () => this.bulkCopyToLibrary());
+        this.elements.btnBulkRemove.addEventListener('click', () => this.bulkRemove());
+        this.elements.btnBulkClear.addEventListener('click', () => this.clearMultiSelection());
+        this.elements.btnCloseBulkEdit.addEventListener('click', () => this.closeModal('bulk-edit'));
+        this.elements.btnBulkEditCancel.addEventListener('click', () => this.closeModal('bulk-edit'));
+        this.elements.btnBulkEditApply.addEventListener('click', () => this.applyBulkEdit());
+
         // Search and filter
         this.elements.searchInput.addEventListener('input', (e) => {
             this.state.searchQuery = e.target.value;
@@ -146,16 +287,53 @@ const App = {
             this.render();
         });
 
+        this.elements.filterLoader.addEventListener('change', (e) => {
+            this.state.filterLoader = e.target.value;
+            this.render();
+        });
+
+        this.elements.filterTapeLength.addEventListener('change', (e) => {
+            this.state.filterTapeLength = e.target.value;
+            this.render();
+        });
+
+        // Reconnect bar
+        this.elements.btnReconnect.addEventListener('click', () => this.reconnectFolders());
+        this.elements.btnReconnectDismiss.addEventListener('click', () => {
+            this.elements.reconnectBar.classList.remove('open');
+        });
+
         // Scan buttons
-        this.elements.btnScan.addEventListener('click', () => this.startScan());
-        this.elements.btnScanEmpty.addEventListener('click', () => this.startScan());
+        this.elements.btnScan.addEventListener('click', () => this.showScanOptions());
+        this.elements.btnScanEmpty.addEventListener('click', () => this.showScanOptions());
+
+        // Scan options modal
+        document.querySelectorAll('input[name="zip-policy"]').forEach(radio => {
+            radio.addEventListener('change', () => this.toggleZipRules(radio.value === 'rules'));
+        });
+        this.elements.btnCloseScanOptions.addEventListener('click', () => this.closeModal('scan-options'));
+        this.elements.btnScanOptionsCancel.addEventListener('click', () => this.closeModal('scan-options'));
+        this.elements.btnScanOptionsStart.addEventListener('click', () => this.startScanWithOptions());
 
         // Settings
-        this.elements.btnSettings.addEventListener('click', () => this.openModal('settings'));
+        this.elements.btnSettings.addEventListener('click', () => {
+            this.updateScanRootsList();
+            this.openModal('settings');
+        });
         this.elements.btnCloseSettings.addEventListener('click', () => this.closeModal('settings'));
         this.elements.btnSaveSettings.addEventListener('click', () => this.saveSettings());
         this.elements.btnExport.addEventListener('click', () => this.exportCatalog());
         this.elements.btnImport.addEventListener('click', () => this.importCatalog());
+        this.elements.btnLoadDat.addEventListener('click', () => this.loadDatFile());
+        this.elements.scanRootsList.addEventListener('click', (e) => this.handleScanRootAction(e));
+        this.elements.scanRootsList.addEventListener('change', (e) => this.handleScanRootLocation(e));
+
+        // Rescan modal
+        this.elements.btnRescanCancel.addEventListener('click', () => {
+            this.state.pendingRescan = null;
+            this.closeModal('rescan');
+        });
+        this.elements.btnRescanApply.addEventListener('click', () => this.applyRescan());
         this.elements.btnClearCatalog.addEventListener('click', () => this.clearCatalog());
 
         // Local Library settings
@@ -163,7 +341,22 @@ const App = {
             this.toggleLibrarySettings(e.target.checked);
         });
         this.elements.btnBrowseLibrary.addEventListener('click', () => this.browseLibrary());
+        this.elements.libraryDiskPath.addEventListener('change', () => this.handleLibraryDiskPath());
+        this.elements.libraryTemplate.addEventListener('input', () => this.renderLibraryTemplatePreview());
+        this.elements.btnApplyLibraryTemplate.addEventListener('click', () => this.applyLibraryTemplate());
         this.elements.btnOrganizeExisting.addEventListener('click', () => this.organizeExistingGames());
+        this.elements.btnCloseLibraryCopy.addEventListener('click', () => this.closeModal('library-copy'));
+        this.elements.btnVerifyLibrary.addEventListener('click', () => this.verifyLibrary());
+        this.elements.btnImportLibrary.addEventListener('click', () => this.importFromLibrary());
+        this.elements.btnRecopyMissing.addEventListener('click', () => this.recopyLibraryFiles('missing'));
+        this.elements.btnRecopyCorrupted.addEventListener('click', () => this.recopyLibraryFiles('corrupted'));
+        this.elements.btnImportOrphans.addEventListener('click', () => this.importLibraryOrphans());
+        this.elements.btnClearStale.addEventListener('click', () => this.clearStaleLibraryPaths());
+        this.elements.btnCloseLibraryVerify.addEventListener('click', () => this.closeModal('library-verify'));
+
+        // Scan modal
+        this.elements.btnScanCancel.addEventListener('click', () => this.cancelScan());
+        this.elements.btnCloseScanSummary.addEventListener('click', () => this.closeModal('scan-summary'));
 
         // ZIP modal buttons
         this.elements.btnZipSkip.addEventListener('click', () => this.resolveZipPrompt(false));
@@ -172,7 +365,18 @@ const App = {
         // Detail panel
         this.elements.btnCloseDetail.addEventListener('click', () => this.closeDetailPanel());
         this.elements.btnLaunch.addEventListener('click', () => this.launchGame());
+        this.elements.btnEditMetadata.addEventListener('click', () => this.startMetadataEdit());
+        this.elements.btnRevertMetadata.addEventListener('click', () => this.revertMetadataEdit());
+        this.elements.btnCancelEdit.addEventListener('click', () => this.cancelMetadataEdit());
+        this.elements.detailEdit.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveMetadataEdit();
+        });
+        this.elements.detailVariantsList.addEventListener('click', (e) => this.handleVariantAction(e));
+        this.elements.btnDownloadPlaylist.addEventListener('click', () => this.downloadPlaylists());
+        this.elements.btnSavePlaylist.addEventListener('click', () => this.savePlaylistsToLibrary());
         this.elements.btnCopyPath.addEventListener('click', () => this.copyPath());
+        this.elements.btnOpenFolder.addEventListener('click', () => this.openFolder());
         this.elements.btnRemove.addEventListener('click', () => this.removeCurrentEntry());
         this.elements.btnAddTag.addEventListener('click', () => this.openModal('tag'));
 
@@ -181,12 +385,23 @@ const App = {
                 Catalog.updateEntry(this.state.selectedEntryId, { notes: e.target.value });
             }
         });
+        this.elements.detailLaunchProfile.addEventListener('change', (e) => {
+            if (this.state.selectedEntryId) {
+                Catalog.updateEntry(this.state.selectedEntryId, { launchProfileId: e.target.value || null });
+            }
+        });
 
         // Tag modal
         document.querySelectorAll('.btn-close-tag-modal').forEach(btn => {
             btn.addEventListener('click', () => this.closeModal('tag'));
         });
 
+        // DAT modal
+        document.querySelectorAll('.btn-close-dat-modal').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal('dat'));
+        });
+        this.elements.btnDownloadDatReport.addEventListener('click', () => this.downloadDatReport());
+
         this.elements.btnConfirmTag.addEventListener('click', () => this.addTag());
         this.elements.newTagInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.addTag();
@@ -218,8 +433,19 @@ const App = {
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
+                // A running task is cancelled like its Cancel button would; it closes its own dialog
+                if (this.scanAbort) {
+                    this.cancelScan();
+                    return;
+                }
+
+                // A first Escape closes a dialog; only a second one drops the selection
+                const modalOpen = document.querySelector('.modal-overlay.open') !== null;
                 this.closeAllModals();
                 this.closeDetailPanel();
+                if (!modalOpen) {
+                    this.clearMultiSelection();
+                }
             }
         });
     },
@@ -229,13 +455,17 @@ const App = {
      */
     loadSettings() {
         const settings = Catalog.getSettings();
-        this.elements.emulatorPath.value = settings.emulatorPath || '';
+        this.renderLaunchSettings(settings);
+        this.elements.settingLaunchHelperUrl.value = settings.launchHelperUrl || '';
         this.elements.settingAutoFetchArt.checked = settings.autoFetchArt !== false;
         this.elements.settingCacheArt.checked = settings.cacheArtLocally !== false;
 
         // Local library settings
         this.elements.settingLocalLibrary.checked = settings.localLibraryEnabled || false;
         this.elements.libraryPath.value = settings.localLibraryName || '';
+        this.elements.libraryDiskPath.value = (Roots.getLibraryRoot() || {}).diskPath || '';
+        this.elements.libraryTemplate.value = Library.getTemplate();
+        this.renderLibraryTemplatePreview();
         this.toggleLibrarySettings(settings.localLibraryEnabled);
     },
 
@@ -244,10 +474,11 @@ const App = {
      */
     saveSettings() {
         const settings = {
-            emulatorPath: this.elements.emulatorPath.value.trim(),
+            ...this.readLaunchSettings(),
+            launchHelperUrl: this.elements.settingLaunchHelperUrl.value.trim(),
             autoFetchArt: this.elements.settingAutoFetchArt.checked,
             cacheArtLocally: this.elements.settingCacheArt.checked,
-            localLibraryEnabled: Library.isAvailable(),
+            localLibraryEnabled: Library.isConfigured(),
             localLibraryName: Library.getLibraryName()
         };
 
@@ -256,6 +487,140 @@ const App = {
         this.showToast('Settings saved', 'success');
     },
 
+    /**
+     * Render the launch profile editor and the per-type defaults
+     * @param {Object} settings - Catalog settings
+     */
+    renderLaunchSettings(settings) {
+        const profiles = Launcher.getProfiles(settings);
+
+        this.elements.launchProfiles.innerHTML = profiles.map(profile => `
+            <div class="launch-profile" data-profile-id="${profile.id}">
+                <span class="launch-profile-name">${this.escapeHtml(profile.name)}</span>
+                <input type="text" data-field="executable" placeholder="Emulator executable">
+                <input type="text" data-field="arguments" placeholder="Arguments">
+            </div>
+        `).join('');
+
+        // Set values directly; templates contain quotes
+        for (const profile of profiles) {
+            const row = this.elements.launchProfiles.querySelector(`[data-profile-id="${profile.id}"]`);
+            row.querySelector('[data-field="executable"]').value = profile.executable;
+            row.querySelector('[data-field="arguments"]').value = profile.arguments;
+        }
+
+        this.elements.launchDefaults.innerHTML = Object.entries(Launcher.MEDIA_TYPES).map(([type, label]) => {
+            const selectedId = Launcher.getDefaultProfile(settings, type).id;
+            const options = profiles.map(profile => `
+                <option value="${profile.id}" ${profile.id === selectedId ? 'selected' : ''}>${this.escapeHtml(profile.name)}</option>
+            `).join('');
+            return `
+                <label class="launch-default">
+                    <span>${label}</span>
+                    <select class="filter-select" data-type="${type}">${options}</select>
+                </label>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Read the launch profile editor back into settings
+     * @returns {Object} { launchProfiles, launchDefaults }
+     */
+    readLaunchSettings() {
+        const launchProfiles = Launcher.getProfiles(Catalog.getSettings()).map(profile => {
+            const row = this.elements.launchProfiles.querySelector(`[data-profile-id="${profile.id}"]`);
+            if (!row) return profile;
+            return {
+                ...profile,
+                executable: row.querySelector('[data-field="executable"]').value.trim() || profile.executable,
+                arguments: row.querySelector('[data-field="arguments"]').value.trim() || profile.arguments
+            };
+        });
+
+        const launchDefaults = {};
+        this.elements.launchDefaults.querySelectorAll('select[data-type]').forEach(select => {
+            launchDefaults[select.dataset.type] = select.value;
+        });
+
+        return { launchProfiles, launchDefaults };
+    },
+
+    /**
+     * Restore folder handles saved in earlier sessions
+     * Folders whose permission has lapsed are offered in the reconnect bar
+     */
+    async restoreFolders() {
+        try {
+            if (Catalog.getSettings().localLibraryEnabled) {
+                await Library.restore();
+                await this.updateLibraryStats();
+            }
+
+            this.state.disconnectedRoots = await Roots.getDisconnected();
+        } catch (error) {
+            console.error('Error restoring folders:', error);
+            this.state.disconnectedRoots = [];
+        }
+
+        this.updateReconnectBar();
+    },
+
+    /**
+     * Show or hide the reconnect bar
+     */
+    updateReconnectBar() {
+        const roots = this.state.disconnectedRoots;
+        if (roots.length === 0) {
+            this.elements.reconnectBar.classList.remove('open');
+            return;
+        }
+
+        const names = roots.map(root => root.kind === 'library' ? `${root.name} (library)` : root.name);
+        this.elements.reconnectMessage.textContent = roots.length === 1
+            ? `🔌 Folder "${names[0]}" needs permission again to open its games`
+            : `🔌 ${roots.length} folders need permission again: ${names.join(', ')}`;
+        this.elements.reconnectBar.classList.add('open');
+    },
+
+    /**
+     * Ask for permission to every disconnected folder
+     * Browsers may only show one prompt per click; anything left stays in the bar
+     */
+    async reconnectFolders() {
+        const remaining = [];
+        let libraryReconnected = false;
+
+        for (const root of this.state.disconnectedRoots) {
+            try {
+                const granted = root.kind === 'library'
+                    ? await Library.reconnect()
+                    : await Roots.requestPermission(root);
+
+                if (!granted) {
+                    remaining.push(root);
+                } else if (root.kind === 'library') {
+                    libraryReconnected = true;
+                }
+            } catch (error) {
+                console.warn(`Could not reconnect ${root.name}:`, error);
+                remaining.push(root);
+            }
+        }
+
+        const reconnected = this.state.disconnectedRoots.length - remaining.length;
+        this.state.disconnectedRoots = remaining;
+        this.updateReconnectBar();
+
+        if (libraryReconnected) {
+            await this.updateLibraryStats();
+        }
+
+        if (reconnected > 0) {
+            this.showToast(`Reconnected ${reconnected} folder${reconnected === 1 ? '' : 's'}`, 'success');
+        }
+    },
+
     /**
      * Set view mode (grid/list)
      */
@@ -270,12 +635,17 @@ const App = {
     /**
      * Render the catalog grid
      */
-    render() {
-        const entries = Catalog.search(this.state.searchQuery, {
+    async render() {
+        const renderId = ++this.renderId;
+        const entries = await Catalog.search(this.state.searchQuery, {
             type: this.state.filterType,
-            tag: this.state.filterTag
+            tag: this.state.filterTag,
+            loader: this.state.filterLoader,
+            tapeLength: this.state.filterTapeLength
         });
 
+        if (renderId !== this.renderId) return;
+
         // Clear grid
         this.elements.catalogGrid.innerHTML = '';
 
@@ -288,7 +658,16 @@ const App = {
             this.elements.catalogGrid.appendChild(card);
         }
 
+        // Bulk actions only apply to games that are still shown
+        this.state.resultIds = entries.map(entry => entry.id);
+        const shown = new Set(this.state.resultIds);
+        for (const id of this.state.multiSelection) {
+            if (!shown.has(id)) this.state.multiSelection.delete(id);
+        }
+        this.updateBulkBar();
+
         this.updateTagFilter();
+        this.updateLoaderFilter();
     },
 
     /**
@@ -303,6 +682,18 @@ const App = {
             card.classList.add('selected');
         }
 
+        if (this.state.multiSelection.has(entry.id)) {
+            card.classList.add('multi-selected');
+        }
+
+        if (entry.corrupt) {
+            card.classList.add('corrupt');
+        }
+
+        if (entry.missing) {
+            card.classList.add('missing');
+        }
+
         const typeClass = entry.fileType;
         const placeholder = this.getFileTypeEmoji(entry.fileType);
 
@@ -315,6 +706,9 @@ const App = {
             </div>
             <div class="game-card-info">
                 <div class="game-card-title">${this.escapeHtml(entry.gameName)}</div>
+                ${entry.corrupt ? '<div class="game-card-status corrupt">Corrupt</div>' : ''}
+                ${entry.missing ? '<div class="game-card-status missing">Missing</div>' : ''}
+                ${this.getVerificationBadge(entry)}
                 <div class="game-card-meta">
                     <span class="game-card-year">${entry.year || '—'}</span>
                     <span class="game-card-type ${typeClass}">${entry.extension}</span>
@@ -322,11 +716,310 @@ const App = {
             </div>
         `;
 
-        card.addEventListener('click', () => this.selectEntry(entry.id));
+        card.addEventListener('click', (e) => this.handleCardClick(e, entry.id));
 
         return card;
     },
 
+    /**
+     * Handle a click on a game card
+     * Shift-click selects a range, Ctrl/Cmd-click toggles a game; a plain
+     * click clears the selection and opens the game
+     */
+    handleCardClick(e, id) {
+        const selection = this.state.multiSelection;
+
+        if (e.shiftKey && this.state.selectionAnchorId) {
+            const ids = this.state.resultIds;
+            const from = ids.indexOf(this.state.selectionAnchorId);
+            const to = ids.indexOf(id);
+            if (from !== -1 && to !== -1) {
+                for (const rangeId of ids.slice(Math.min(from, to), Math.max(from, to) + 1)) {
+                    selection.add(rangeId);
+                }
+            }
+        } else if (e.ctrlKey || e.metaKey) {
+            // The open game joins the selection when the first other game is added
+            if (selection.size === 0 && this.state.selectedEntryId && this.state.selectedEntryId !== id) {
+                selection.add(this.state.selectedEntryId);
+            }
+            if (selection.has(id)) {
+                selection.delete(id);
+            } else {
+                selection.add(id);
+            }
+            this.state.selectionAnchorId = id;
+        } else {
+            this.state.selectionAnchorId = id;
+            if (selection.size > 0) {
+                this.clearMultiSelection();
+            }
+            this.selectEntry(id);
+            return;
+        }
+
+        this.updateMultiSelection();
+    },
+
+    /**
+     * Select the games among the current results that match a filter
+     * @param {string} filter - Value of the "Select..." menu
+     */
+    selectByFilter(filter) {
+        const tests = {
+            'all': () => true,
+            'no-year': entry => !entry.year,
+            'no-publisher': entry => !entry.publisher,
+            'not-in-library': entry => !entry.libraryPath,
+            'missing': entry => entry.missing,
+            'corrupt': entry => entry.corrupt
+        };
+        const test = tests[filter];
+        if (!test) return;
+
+        const matches = this.state.resultIds
+            .map(id => Catalog.getEntry(id))
+            .filter(entry => entry && test(entry));
+
+        this.state.multiSelection = new Set(matches.map(entry => entry.id));
+        this.updateMultiSelection();
+
+        if (matches.length === 0) {
+            this.showToast('No games match', 'info');
+        }
+    },
+
+    /**
+     * Clear the multi-selection
+     */
+    clearMultiSelection() {
+        this.state.multiSelection.clear();
+        this.updateMultiSelection();
+    },
+
+    /**
+     * Refresh card highlights and the bulk action bar after the selection changed
+     */
+    updateMultiSelection() {
+        document.querySelectorAll('.game-card').forEach(card => {
+            card.classList.toggle('multi-selected', this.state.multiSelection.has(card.dataset.id));
+        });
+        this.updateBulkBar();
+    },
+
+    /**
+     * Show the bulk action bar while games are selected
+     */
+    updateBulkBar() {
+        const count = this.state.multiSelection.size;
+        this.elements.bulkBar.classList.toggle('open', count > 0);
+        this.elements.bulkCount.textContent = `${count} game${count === 1 ? '' : 's'} selected`;
+    },
+
+    /**
+     * Get the IDs of the multi-selected games
+     * @returns {Array<string>}
+     */
+    getMultiSelection() {
+        return [...this.state.multiSelection];
+    },
+
+    /**
+     * Open the bulk edit form for the selected games
+     */
+    openBulkEdit() {
+        const count = this.state.multiSelection.size;
+        if (count === 0) return;
+
+        this.elements.bulkEditTitle.textContent = `Edit ${count} Game${count === 1 ? '' : 's'}`;
+        for (const input of [this.elements.bulkAddTags, this.elements.bulkRemoveTags,
+            this.elements.bulkYear, this.elements.bulkPublisher, this.elements.bulkGenre]) {
+            input.value = '';
+        }
+        this.openModal('bulk-edit');
+        this.elements.bulkAddTags.focus();
+    },
+
+    /**
+     * Apply the bulk edit form to every selected game in one write
+     */
+    async applyBulkEdit() {
+        const ids = this.getMultiSelection();
+        const splitTags = (value) => value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+        const addTags = splitTags(this.elements.bulkAddTags.value);
+        const removeTags = splitTags(this.elements.bulkRemoveTags.value);
+
+        const fields = {};
+        const year = this.elements.bulkYear.value.trim();
+        if (year) {
+            if (!Metadata.YEAR_PATTERN.test(year)) {
+                this.showToast('Use a year like 1987, or 198x', 'warning');
+                return;
+            }
+            fields.year = year.toLowerCase();
+        }
+        const publisher = this.elements.bulkPublisher.value.trim();
+        if (publisher) fields.publisher = publisher;
+        const genre = this.elements.bulkGenre.value.trim();
+        if (genre) fields.genre = genre;
+
+        if (addTags.length === 0 && removeTags.length === 0 && Object.keys(fields).length === 0) {
+            this.showToast('Nothing to change', 'info');
+            return;
+        }
+
+        // The games change in memory even if saving fails, so the view is refreshed either way
+        let changed = ids.length;
+        let error = null;
+        try {
+            changed = await Catalog.updateEntries(ids, entry => {
+                const tags = entry.tags
+                    .filter(tag => !removeTags.includes(tag))
+                    .concat(addTags.filter(tag => !entry.tags.includes(tag) && !removeTags.includes(tag)));
+                return { ...fields, tags };
+            });
+        } catch (saveError) {
+            console.error('Error applying bulk edit:', saveError);
+            error = saveError;
+        }
+
+        this.closeModal('bulk-edit');
+        this.render();
+        this.updateDetailPanel();
+
+        if (error) {
+            this.showToast(`Updated ${changed} game${changed === 1 ? '' : 's'} in this session only, not persisted: ${error.message}`, 'error');
+        } else {
+            this.showToast(`Updated ${changed} game${changed === 1 ? '' : 's'}`, 'success');
+        }
+    },
+
+    /**
+     * Look up metadata again for the selected games, filling in what's found
+     */
+    async bulkLookup() {
+        const entries = this.getMultiSelection().map(id => Catalog.getEntry(id)).filter(Boolean);
+        if (entries.length === 0) return;
+
+        this.scanAbort = new AbortController();
+        const signal = this.scanAbort.signal;
+
+        this.openModal('scan');
+        this.elements.scanStatusText.textContent = 'Looking up game details...';
+        this.elements.scanCount.textContent = '0';
+        this.elements.scanProgressFill.style.width = '0%';
+
+        // Fresh lookups rather than the cached results from the scan
+        Metadata.clearCache();
+
+        const found = new Map();
+        let changed;
+        let cancelled = false;
+
+        try {
+            for (let i = 0; i < entries.length; i++) {
+                if (signal.aborted) {
+                    cancelled = true;
+                    break;
+                }
+
+                const entry = entries[i];
+                this.elements.scanStatusText.textContent = `Looking up: ${entry.gameName}`;
+
+                const metadata = await Metadata.lookup(entry.gameName);
+                const updates = {};
+                if (metadata.year) updates.year = metadata.year;
+                if (metadata.publisher) updates.publisher = metadata.publisher;
+                if (metadata.boxArtUrl) updates.boxArtUrl = metadata.boxArtUrl;
+                if (Object.keys(updates).length > 0) found.set(entry.id, updates);
+
+                this.elements.scanCount.textContent = found.size;
+                this.elements.scanProgressFill.style.width = `${((i + 1) / entries.length) * 100}%`;
+            }
+
+            // Keep whatever was found before a cancel
+            changed = await Catalog.updateEntries([...found.keys()], entry => found.get(entry.id));
+        } catch (error) {
+            console.error('Error looking up game details:', error);
+            // Details found before a failed save are still shown for this session
+            this.render();
+            this.updateDetailPanel();
+            this.showToast('Failed to look up game details: ' + error.message, 'error');
+            return;
+        } finally {
+            this.scanAbort = null;
+            this.closeModal('scan');
+        }
+
+        this.render();
+        this.updateDetailPanel();
+        if (cancelled) {
+            this.showToast(`Lookup cancelled; found details for ${changed} game${changed === 1 ? '' : 's'}`, 'info');
+        } else {
+            this.showToast(`Found details for ${changed} of ${entries.length} games`, changed > 0 ? 'success' : 'info');
+        }
+    },
+
+    /**
+     * Copy the selected games into the library
+     */
+    bulkCopyToLibrary() {
+        const entries = this.getMultiSelection().map(id => Catalog.getEntry(id)).filter(Boolean);
+        if (entries.length > 0) {
+            this.organizeExistingGames(entries);
+        }
+    },
+
+    /**
+     * Remove the selected games from the catalog in one write
+     */
+    async bulkRemove() {
+        const ids = this.getMultiSelection();
+        if (ids.length === 0) return;
+
+        if (!confirm(`Remove ${ids.length} game${ids.length === 1 ? '' : 's'} from the catalog?`)) {
+            return;
+        }
+
+        // The games leave memory even if saving fails, so the view is refreshed either way
+        let removed = ids.length;
+        let error = null;
+        try {
+            removed = await Catalog.removeEntries(ids);
+        } catch (saveError) {
+            console.error('Error removing games:', saveError);
+            error = saveError;
+        }
+
+        if (ids.includes(this.state.selectedEntryId)) {
+            this.closeDetailPanel();
+        }
+        this.clearMultiSelection();
+        this.render();
+        this.updateStats();
+
+        if (error) {
+            this.showToast(`Removed ${removed} game${removed === 1 ? '' : 's'} in this session only, not persisted: ${error.message}`, 'error');
+        } else {
+            this.showToast(`Removed ${removed} game${removed === 1 ? '' : 's'} from catalog`, 'success');
+        }
+    },
+
+    /**
+     * Get the card badge for an entry's DAT verification status
+     */
+    getVerificationBadge(entry) {
+        if (!entry.verification || entry.corrupt) return '';
+        switch (entry.verification.status) {
+            case 'verified':
+                return '<div class="game-card-status verified">✓ Verified</div>';
+            case 'bad':
+                return '<div class="game-card-status bad">Bad Dump</div>';
+            default:
+                return '';
+        }
+    },
+
     /**
      * Get emoji for file type
      */
@@ -334,7 +1027,9 @@ const App = {
         const emojis = {
             'disk': '💾',
             'tape': '📼',
-            'cart': '🎮'
+            'cart': '🎮',
+            'program': '📄',
+            'container': '📦'
         };
         return emojis[type] || '🎮';
     },
@@ -343,6 +1038,9 @@ const App = {
      * Select an entry and show detail panel
      */
     selectEntry(id) {
+        if (id !== this.state.selectedEntryId) {
+            this.state.editingMetadata = false;
+        }
         this.state.selectedEntryId = id;
 
         // Update card selection
@@ -377,12 +1075,155 @@ const App = {
         // Info
         this.elements.detailTitle.textContent = entry.gameName;
         this.elements.detailYear.textContent = entry.year || 'Unknown';
-        this.elements.detailType.textContent = entry.extension.toUpperCase();
+        this.elements.detailType.textContent = entry.diskDirectory && entry.diskDirectory.hasErrorTable
+            ? `${entry.extension.toUpperCase()} +ERR`
+            : entry.extension.toUpperCase();
         this.elements.detailPublisher.textContent = entry.publisher || 'Unknown Publisher';
+        this.elements.detailAbout.textContent = this.describeAbout(entry).join(' · ');
+        this.elements.detailDescription.textContent = entry.description || '';
+
+        // Edit mode swaps the title block for the metadata form
+        this.elements.detailInfo.classList.toggle('editing', this.state.editingMetadata);
+        const revert = this.state.metadataRevert;
+        this.elements.btnRevertMetadata.style.display = revert && revert.entryId === entry.id ? '' : 'none';
         this.elements.detailFilename.textContent = entry.filename;
-        this.elements.detailPath.textContent = entry.originalPath;
+        const root = entry.rootId ? Roots.getRoot(entry.rootId) : null;
+        this.elements.detailPath.textContent = root ? `${root.name}/${entry.originalPath}` : entry.originalPath;
         this.elements.detailNotes.value = entry.notes || '';
 
+        // Launch profile: the entry's override or its media type's default
+        const settings = Catalog.getSettings();
+        const defaultProfile = Launcher.getDefaultProfile(settings, Scanner.getFileType(entry.extension));
+        this.elements.detailLaunchProfile.innerHTML = [
+            `<option value="">Default (${this.escapeHtml(defaultProfile.name)})</option>`,
+            ...Launcher.getProfiles(settings).map(profile =>
+                `<option value="${profile.id}">${this.escapeHtml(profile.name)}</option>`)
+        ].join('');
+        this.elements.detailLaunchProfile.value = entry.launchProfileId || '';
+
+        // Release details parsed from the filename
+        const releaseParts = entry.nameInfo ? this.describeRelease(entry.nameInfo) : [];
+        this.elements.detailRelease.textContent = releaseParts.join(' · ');
+        this.elements.detailRelease.style.display = releaseParts.length > 0 ? 'block' : 'none';
+
+        // Corrupt file warning
+        if (entry.corrupt) {
+            this.elements.detailCorrupt.textContent = `⚠ Corrupt file: ${entry.corruptReason || 'failed validation'}`;
+            this.elements.detailCorrupt.style.display = 'block';
+        } else {
+            this.elements.detailCorrupt.textContent = '';
+            this.elements.detailCorrupt.style.display = 'none';
+        }
+
+        // File no longer found by a rescan
+        if (entry.missing) {
+            this.elements.detailMissing.textContent = '⚠ File missing: it was not found the last time its folder was rescanned';
+            this.elements.detailMissing.style.display = 'block';
+        } else {
+            this.elements.detailMissing.textContent = '';
+            this.elements.detailMissing.style.display = 'none';
+        }
+
+        // DAT verification status
+        const verification = entry.verification;
+        if (verification) {
+            const labels = {
+                verified: `✓ Verified: ${verification.canonicalName}`,
+                bad: verification.canonicalName
+                    ? `⚠ Known bad dump: ${verification.canonicalName}`
+                    : '⚠ Bad dump (not in DAT)',
+                unknown: '? Not found in DAT'
+            };
+            this.elements.detailVerification.textContent = `${labels[verification.status]} — ${verification.datName}`;
+            this.elements.detailVerification.className = `detail-verification ${verification.status}`;
+            this.elements.detailVerification.style.display = 'block';
+        } else {
+            this.elements.detailVerification.textContent = '';
+            this.elements.detailVerification.style.display = 'none';
+        }
+
+        // Cartridge info
+        if (entry.cartridgeInfo) {
+            this.elements.detailCartridgeInfo.textContent = Cartridge.formatInfo(entry.cartridgeInfo);
+            this.elements.detailCartridge.style.display = 'block';
+        } else {
+            this.elements.detailCartridgeInfo.textContent = '';
+            this.elements.detailCartridge.style.display = 'none';
+        }
+
+        // Tape info
+        if (entry.tapeInfo) {
+            this.elements.detailTapeInfo.textContent = TapeImage.formatInfo(entry.tapeInfo);
+            this.elements.detailTape.style.display = 'block';
+        } else {
+            this.elements.detailTapeInfo.textContent = '';
+            this.elements.detailTape.style.display = 'none';
+        }
+
+        // Program info
+        if (entry.programInfo) {
+            const info = entry.programInfo;
+            const parts = [];
+            if (info.c64Name) parts.push(`"${info.c64Name}"`);
+            if (info.loadAddress !== null) {
+                parts.push(`Load ${ProgramFile.formatAddress(info.loadAddress)}-${ProgramFile.formatAddress(info.endAddress)}`);
+            }
+            this.elements.detailProgramInfo.textContent = parts.join(' · ');
+            this.elements.detailProgram.style.display = 'block';
+        } else {
+            this.elements.detailProgramInfo.textContent = '';
+            this.elements.detailProgram.style.display = 'none';
+        }
+
+        // Variants
+        const variants = Catalog.getVariants(entry);
+        this.elements.detailVariantsList.innerHTML = '';
+        if (variants.length > 1) {
+            for (const variant of variants) {
+                this.elements.detailVariantsList.appendChild(this.createVariantItem(entry, variant));
+            }
+            this.elements.detailVariants.style.display = 'block';
+        } else {
+            this.elements.detailVariants.style.display = 'none';
+        }
+
+        // Disks of a multi-disk set, exportable as a fliplist/playlist
+        const disks = Catalog.getDiskSet(entry, Catalog.getPreferredVariant(entry));
+        this.elements.detailDiskSetList.innerHTML = '';
+        if (disks.length > 1) {
+            for (const disk of disks) {
+                const item = document.createElement('li');
+                item.textContent = `${Scanner.describeDisk(Scanner.getDiskInfo(disk.filename))}: ${disk.filename}`;
+                this.elements.detailDiskSetList.appendChild(item);
+            }
+            this.elements.btnSavePlaylist.style.display = entry.libraryPath && Library.isAvailable() ? '' : 'none';
+            this.elements.detailDiskSet.style.display = 'block';
+        } else {
+            this.elements.detailDiskSet.style.display = 'none';
+        }
+
+        // Content hashes
+        if (entry.hashes) {
+            this.elements.detailHashesInfo.textContent = [
+                `CRC32 ${entry.hashes.crc32}`,
+                `MD5   ${entry.hashes.md5}`,
+                `SHA-1 ${entry.hashes.sha1}`
+            ].join('\n');
+            this.elements.detailHashes.style.display = 'block';
+        } else {
+            this.elements.detailHashesInfo.textContent = '';
+            this.elements.detailHashes.style.display = 'none';
+        }
+
+        // Disk directory
+        if (entry.diskDirectory) {
+            this.elements.detailDirectoryListing.textContent = DiskImage.formatListing(entry.diskDirectory);
+            this.elements.detailDirectory.style.display = 'block';
+        } else {
+            this.elements.detailDirectoryListing.textContent = '';
+            this.elements.detailDirectory.style.display = 'none';
+        }
+
         // Tags
         this.elements.detailTagsContainer.innerHTML = '';
         for (const tag of entry.tags) {
@@ -405,14 +1246,207 @@ const App = {
     },
 
     /**
-     * Close the detail panel
+     * Build display parts for the edited metadata shown under the publisher
+     * @param {Object} entry - Catalog entry
+     * @returns {Array<string>}
      */
-    closeDetailPanel() {
-        this.state.selectedEntryId = null;
-        this.elements.detailPanel.classList.remove('open');
+    describeAbout(entry) {
+        const parts = [];
 
-        document.querySelectorAll('.game-card.selected').forEach(card => {
-            card.classList.remove('selected');
+        if (entry.developer) parts.push(`Developed by ${entry.developer}`);
+        if (entry.genre) parts.push(entry.genre);
+        if (entry.players) parts.push(entry.players === '1' ? '1 player' : `${entry.players} players`);
+        if (entry.controlType) parts.push(entry.controlType);
+
+        return parts;
+    },
+
+    /**
+     * Switch the detail panel to the metadata edit form
+     */
+    startMetadataEdit() {
+        const entry = Catalog.getEntry(this.state.selectedEntryId);
+        if (!entry) return;
+
+        const controlSelect = this.elements.detailEdit.querySelector('[data-field="controlType"]');
+        controlSelect.innerHTML = [
+            '<option value="">Unknown</option>',
+            ...Metadata.CONTROL_TYPES.map(type => `<option value="${type}">${this.escapeHtml(type)}</option>`)
+        ].join('');
+
+        // Set values directly; escapeHtml doesn't cover attribute quotes
+        for (const field of Metadata.EDITABLE_FIELDS) {
+            this.elements.detailEdit.querySelector(`[data-field="${field}"]`).value = entry[field] || '';
+        }
+        this.showMetadataErrors({});
+
+        this.state.editingMetadata = true;
+        this.updateDetailPanel();
+        this.elements.detailEdit.querySelector('[data-field="gameName"]').focus();
+    },
+
+    /**
+     * Leave the edit form without saving
+     */
+    cancelMetadataEdit() {
+        this.state.editingMetadata = false;
+        this.updateDetailPanel();
+    },
+
+    /**
+     * Validate the edit form and save it to the entry
+     * The previous values are kept so the edit can be reverted
+     */
+    saveMetadataEdit() {
+        const entry = Catalog.getEntry(this.state.selectedEntryId);
+        if (!entry) return;
+
+        const formValues = {};
+        for (const field of Metadata.EDITABLE_FIELDS) {
+            formValues[field] = this.elements.detailEdit.querySelector(`[data-field="${field}"]`).value;
+        }
+
+        const { values, errors } = Metadata.validateFields(formValues);
+        this.showMetadataErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            this.elements.detailEdit.querySelector('.detail-edit-field.invalid [data-field]').focus();
+            return;
+        }
+
+        const previous = {};
+        for (const field of Metadata.EDITABLE_FIELDS) {
+            previous[field] = entry[field] === undefined ? (field === 'boxArtUrl' ? null : '') : entry[field];
+        }
+
+        Catalog.updateEntry(entry.id, values);
+        this.state.metadataRevert = { entryId: entry.id, values: previous };
+        this.state.editingMetadata = false;
+
+        this.updateDetailPanel();
+        this.render();
+        this.showToast('Game details saved', 'success');
+    },
+
+    /**
+     * Restore the values from before the last saved edit
+     */
+    revertMetadataEdit() {
+        const revert = this.state.metadataRevert;
+        if (!revert || revert.entryId !== this.state.selectedEntryId) return;
+
+        Catalog.updateEntry(revert.entryId, revert.values);
+        this.state.metadataRevert = null;
+
+        this.updateDetailPanel();
+        this.render();
+        this.showToast('Game details reverted', 'success');
+    },
+
+    /**
+     * Show validation messages next to the edit form's fields
+     * @param {Object} errors - Message per field name
+     */
+    showMetadataErrors(errors) {
+        for (const field of Metadata.EDITABLE_FIELDS) {
+            this.elements.detailEdit.querySelector(`[data-error-for="${field}"]`).textContent = errors[field] || '';
+            this.elements.detailEdit.querySelector(`[data-field="${field}"]`)
+                .closest('.detail-edit-field').classList.toggle('invalid', field in errors);
+        }
+    },
+
+    /**
+     * Build display parts for filename-derived release details
+     * @param {Object} info - Parsed filename from Tosec.parse()
+     * @returns {Array<string>}
+     */
+    describeRelease(info) {
+        const parts = [];
+
+        if (info.version) parts.push(info.version);
+        if (info.videoStandard) parts.push(info.videoStandard);
+        if (info.countries.length > 0) parts.push(info.countries.join('/'));
+        if (info.languages.length > 0) parts.push(info.languages.join('/'));
+        if (info.media) {
+            const type = info.media.type.charAt(0).toUpperCase() + info.media.type.slice(1);
+            parts.push(info.media.total
+                ? `${type} ${info.media.number} of ${info.media.total}`
+                : `${type} ${info.media.number}`);
+        }
+        if (info.side) parts.push(`Side ${info.side}`);
+        if (info.devStatus) parts.push(info.devStatus);
+        for (const flag of info.flags) {
+            parts.push(Tosec.describeFlag(flag));
+        }
+
+        return parts;
+    },
+
+    /**
+     * Create a row for one variant in the detail panel
+     */
+    createVariantItem(entry, variant) {
+        const item = document.createElement('div');
+        item.className = 'variant-item';
+        item.dataset.variantId = variant.id;
+
+        const isPreferred = variant.id === entry.preferredVariantId;
+        if (isPreferred) {
+            item.classList.add('preferred');
+        }
+        if (variant.missing) {
+            item.classList.add('missing');
+            item.title = 'File missing since the last rescan';
+        }
+
+        const diskInfo = Scanner.getDiskInfo(variant.filename);
+        const label = Scanner.describeVariant(variant.variantTags || []);
+
+        item.innerHTML = `
+            <div class="variant-info">
+                <span class="variant-label">${this.escapeHtml(diskInfo ? `${Scanner.describeDisk(diskInfo)} · ${label}` : label)}</span>
+                <span class="variant-filename">${this.escapeHtml(variant.filename)}</span>
+            </div>
+            <div class="variant-actions">
+                ${isPreferred
+                ? '<span class="variant-preferred">Preferred</span>'
+                : '<button class="btn btn-small btn-ghost" data-action="prefer">Prefer</button>'
+            }
+                <button class="btn btn-small btn-ghost" data-action="launch" title="Launch this variant">▶</button>
+            </div>
+        `;
+
+        return item;
+    },
+
+    /**
+     * Handle prefer/launch clicks in the variant list
+     */
+    handleVariantAction(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button || !this.state.selectedEntryId) return;
+
+        const variantId = button.closest('.variant-item').dataset.variantId;
+
+        if (button.dataset.action === 'prefer') {
+            Catalog.setPreferredVariant(this.state.selectedEntryId, variantId);
+            this.updateDetailPanel();
+            this.render();
+            this.showToast('Preferred variant updated', 'success');
+        } else if (button.dataset.action === 'launch') {
+            this.launchGame(variantId);
+        }
+    },
+
+    /**
+     * Close the detail panel
+     */
+    closeDetailPanel() {
+        this.state.selectedEntryId = null;
+        this.state.editingMetadata = false;
+        this.elements.detailPanel.classList.remove('open');
+
+        document.querySelectorAll('.game-card.selected').forEach(card => {
+            card.classList.remove('selected');
         });
     },
 
@@ -456,116 +1490,151 @@ const App = {
         }
     },
 
+    // Aborts the running scan or rescan
+    scanAbort: null,
+
     /**
-     * Start folder scanning with ZIP support
+     * Cancel the running scan from the scan modal
      */
-    async startScan() {
-        try {
-            const dirHandle = await Scanner.pickDirectory();
-            if (!dirHandle) return; // User cancelled
-
-            // Reset ZIP memory for this scan session
-            this._zipRememberChoice = null;
+    cancelScan() {
+        if (this.scanAbort) {
+            this.elements.scanStatusText.textContent = 'Cancelling...';
+            this.scanAbort.abort();
+        }
+    },
 
-            this.openModal('scan');
-            this.elements.scanCount.textContent = '0';
-            this.elements.scanProgressFill.style.width = '0%';
-            this.elements.scanStatusText.textContent = 'Scanning directories...';
+    /**
+     * Decide whether to extract a ZIP found during a scan
+     * Only the 'ask' policy prompts, hiding the scan modal meanwhile
+     * @param {Object} zipInfo - ZIP file from the scanner
+     * @param {Object} policy - ZIP policy from settings
+     * @returns {Promise<boolean>} True if should extract
+     */
+    async shouldExtractZip(zipInfo, policy) {
+        const decision = Scanner.getZipDecision(zipInfo, policy);
+        if (decision !== 'ask') {
+            return decision === 'extract';
+        }
+        if (this._zipRememberChoice !== null) {
+            return this._zipRememberChoice === 'extract';
+        }
 
-            // Scan for files and ZIP files
-            const { files, zipFiles } = await Scanner.scanDirectoryWithZips(
-                dirHandle,
-                (count) => {
-                    this.elements.scanCount.textContent = count;
-                }
-            );
+        this.closeModal('scan');
+        const shouldExtract = await this.showZipPrompt(zipInfo.name);
+        this.openModal('scan');
+        return shouldExtract;
+    },
 
-            // Process ZIP files if any found - one at a time to manage memory
-            let zipExtractedFiles = [];
-            if (zipFiles.length > 0 && Scanner.isZipSupported()) {
-                this.elements.scanStatusText.textContent = `Found ${zipFiles.length} ZIP file(s)...`;
+    /**
+     * Show scan progress reported by Scanner.scanWithPool()
+     * @param {Object} progress - { phase, done, total, found }
+     */
+    updateScanProgress({ phase, done, total, found }) {
+        this.elements.scanCount.textContent = found;
 
-                for (let zipIndex = 0; zipIndex < zipFiles.length; zipIndex++) {
-                    const zipInfo = zipFiles[zipIndex];
+        if (phase === 'listing') {
+            this.elements.scanStatusText.textContent = 'Scanning directories...';
+            return;
+        }
 
-                    this.closeModal('scan');
-                    const shouldExtract = await this.showZipPrompt(zipInfo.name);
-                    this.openModal('scan');
+        // Reading and hashing fills the first half; adding to the catalog the second
+        const progress = total > 0 ? (done / total) * 50 : 50;
+        this.elements.scanProgressFill.style.width = `${progress}%`;
+        this.elements.scanStatusText.textContent = phase === 'extracting'
+            ? `Reading files and archives (${done}/${total})...`
+            : `Reading files (${done}/${total})...`;
+    },
 
-                    if (shouldExtract) {
-                        this.elements.scanStatusText.textContent = `Scanning ${zipInfo.name} (${zipIndex + 1}/${zipFiles.length})...`;
-                        const extractedFiles = await Scanner.scanZipFile(zipInfo.file, zipInfo.path);
-                        zipExtractedFiles.push(...extractedFiles);
-                        this.elements.scanCount.textContent =
-                            parseInt(this.elements.scanCount.textContent) + extractedFiles.length;
-                    }
+    /**
+     * Open the scan options, filled in with the saved ZIP policy
+     */
+    showScanOptions() {
+        const policy = Catalog.getSettings().zipPolicy;
 
-                    // Clear the ZIP file reference to help garbage collection
-                    zipFiles[zipIndex] = null;
+        document.querySelectorAll('input[name="zip-policy"]').forEach(radio => {
+            radio.checked = radio.value === policy.mode;
+        });
+        this.elements.zipRulePatterns.value = policy.patterns || '';
+        this.elements.zipRuleMaxSize.value = policy.maxSizeMB || '';
+        this.toggleZipRules(policy.mode === 'rules');
 
-                    // Allow browser to breathe every few ZIPs
-                    if (zipIndex % 5 === 0) {
-                        await new Promise(r => setTimeout(r, 10));
-                    }
-                }
-            }
+        this.openModal('scan-options');
+    },
 
-            // Combine all files
-            const allFiles = [...files, ...zipExtractedFiles];
+    /**
+     * Show or hide the pattern and size fields of the 'rules' ZIP policy
+     * @param {boolean} visible
+     */
+    toggleZipRules(visible) {
+        this.elements.zipRules.style.display = visible ? 'block' : 'none';
+    },
 
-            // Clear original arrays to free memory
-            files.length = 0;
-            zipExtractedFiles = null;
+    /**
+     * Save the chosen ZIP policy and start the scan
+     * Runs straight from the click so the folder picker still counts as user-initiated
+     */
+    startScanWithOptions() {
+        const checked = document.querySelector('input[name="zip-policy"]:checked');
+        const maxSizeMB = parseFloat(this.elements.zipRuleMaxSize.value);
 
-            this.elements.scanStatusText.textContent = 'Processing files...';
-            this.elements.scanProgressFill.style.width = '50%';
+        if (checked && checked.value === 'rules' && this.elements.zipRuleMaxSize.value !== '' &&
+            !(maxSizeMB > 0)) {
+            this.showToast('Size limit must be a positive number of MB', 'warning');
+            return;
+        }
 
-            // Add files to catalog in batches
-            let addedCount = 0;
-            let skippedCount = 0;
-            const BATCH_SIZE = 50;
+        Catalog.updateSettings({
+            zipPolicy: {
+                mode: checked ? checked.value : 'ask',
+                patterns: this.elements.zipRulePatterns.value.trim(),
+                maxSizeMB: maxSizeMB > 0 ? maxSizeMB : null
+            }
+        });
 
-            for (let i = 0; i < allFiles.length; i++) {
-                const file = allFiles[i];
+        this.closeModal('scan-options');
+        this.startScan();
+    },
 
-                // Skip if already in catalog
-                if (Catalog.hasEntry(file.name)) {
-                    skippedCount++;
-                    continue;
-                }
+    /**
+     * Start folder scanning with ZIP support
+     * The heavy lifting runs in the scan worker pool; this only coordinates the UI
+     */
+    async startScan() {
+        try {
+            const dirHandle = await Scanner.pickDirectory();
+            if (!dirHandle) return; // User cancelled
 
-                // Lookup metadata
-                const gameName = Scanner.extractGameName(file.name);
-                const metadata = await Metadata.lookup(gameName);
+            this.scanAbort = new AbortController();
+            const signal = this.scanAbort.signal;
 
-                // Add to catalog (file data from ZIPs is not stored in memory for efficiency)
-                // Library organization can be done separately via "Organize Existing Games"
-                // Use deferSave=true to avoid saving to localStorage on every entry
-                Catalog.addEntry(file, {
-                    gameName,
-                    year: metadata.year,
-                    publisher: metadata.publisher,
-                    boxArtUrl: metadata.boxArtUrl
-                }, true); // deferSave = true
+            // Remember the folder so its files can be reopened in later sessions
+            const root = await Roots.addScanRoot(dirHandle);
 
-                addedCount++;
+            // Reset ZIP memory for this scan session
+            this._zipRememberChoice = null;
 
-                // Update progress and yield to browser every BATCH_SIZE files
-                if (i % BATCH_SIZE === 0) {
-                    const progress = 50 + ((i + 1) / allFiles.length) * 50;
-                    this.elements.scanProgressFill.style.width = `${progress}%`;
-                    this.elements.scanStatusText.textContent = `Processing ${i + 1}/${allFiles.length}...`;
+            this.openModal('scan');
+            this.elements.scanCount.textContent = '0';
+            this.elements.scanProgressFill.style.width = '0%';
+            this.elements.scanStatusText.textContent = 'Scanning directories...';
 
-                    // Commit changes to localStorage periodically (every BATCH_SIZE)
-                    Catalog.commitChanges();
+            const zipPolicy = Catalog.getSettings().zipPolicy;
+            const { files, zipCount, skippedZips, failedZips } = await Scanner.scanWithPool(dirHandle, {
+                signal,
+                onProgress: (progress) => this.updateScanProgress(progress),
+                shouldExtractZip: (zipInfo) => this.shouldExtractZip(zipInfo, zipPolicy)
+            });
 
-                    // Yield to browser to prevent freezing and allow GC
-                    await new Promise(r => setTimeout(r, 0));
-                }
+            // Group variants of the same game
+            for (const file of files) {
+                file.rootId = root.id;
             }
+            const allFiles = Scanner.groupVariants(files);
 
-            // Final commit of any remaining entries
-            Catalog.commitChanges();
+            this.elements.scanStatusText.textContent = 'Processing files...';
+            this.elements.scanProgressFill.style.width = '50%';
+
+            const { addedCount, variantCount, skippedCount } = await this.addScannedGroups(allFiles, signal);
 
             // Final progress update
             this.elements.scanProgressFill.style.width = '100%';
@@ -574,16 +1643,24 @@ const App = {
             this.render();
             this.updateStats();
 
+            // Archives that weren't read get a summary instead of a toast
+            if (skippedZips.length > 0 || failedZips.length > 0) {
+                this.showScanSummary({ addedCount, variantCount, skippedCount, zipCount, skippedZips, failedZips });
+                return;
+            }
+
             // Show result
             let message = '';
-            const zipCount = allFiles.filter(f => f.sourceType === 'zip').length;
-            if (addedCount > 0) {
+            if (addedCount > 0 || variantCount > 0) {
                 message = `Added ${addedCount} games to catalog`;
+                if (variantCount > 0) {
+                    message += `, ${variantCount} new variants to existing games`;
+                }
                 if (skippedCount > 0) {
                     message += ` (${skippedCount} duplicates skipped)`;
                 }
                 if (zipCount > 0) {
-                    message += `. Found ${zipCount} in ZIP files.`;
+                    message += `. Found ${zipCount} in archives.`;
                 }
                 this.showToast(message, 'success');
             } else if (skippedCount > 0) {
@@ -593,284 +1670,1870 @@ const App = {
             }
 
         } catch (error) {
-            console.error('Scan error:', error);
             this.closeModal('scan');
-            this.showToast('Error scanning folder: ' + error.message, 'error');
+            if (error.name === 'AbortError') {
+                // Games added before the cancel stay in the catalog
+                this.render();
+                this.updateStats();
+                this.showToast('Scan cancelled', 'info');
+            } else {
+                console.error('Scan error:', error);
+                this.showToast('Error scanning folder: ' + error.message, 'error');
+            }
+        } finally {
+            this.scanAbort = null;
         }
     },
 
     /**
-     * Update statistics display
+     * Show the end-of-scan summary with skipped and unreadable archives
+     * @param {Object} summary - Counts from the scan plus skippedZips and failedZips
      */
-    updateStats() {
-        const stats = Catalog.getStats();
-        this.elements.statTotal.textContent = stats.total;
-        this.elements.statDisk.textContent = stats.disk;
-        this.elements.statTape.textContent = stats.tape;
-        this.elements.statCart.textContent = stats.cart;
+    showScanSummary(summary) {
+        this.elements.scanSummaryCounts.innerHTML = `
+            <span><strong>${summary.addedCount}</strong> games added</span>
+            <span><strong>${summary.variantCount}</strong> variants added</span>
+            <span><strong>${summary.skippedCount}</strong> duplicates</span>
+            <span><strong>${summary.zipCount}</strong> files from archives</span>
+        `;
+
+        this.renderReportSections(this.elements.scanSummarySections, [
+            { title: 'Skipped archives', items: summary.skippedZips.map(zip => zip.path) },
+            { title: 'Unreadable archives', items: summary.failedZips.map(zip => `${zip.path}: ${zip.error}`) }
+        ]);
+
+        this.openModal('scan-summary');
     },
 
     /**
-     * Update tag filter dropdown
+     * Add grouped scan results to the catalog
+     * Known dumps are skipped and variants of existing games are attached to them
+     * @param {Array<Object>} allFiles - Groups from Scanner.groupVariants()
+     * @param {AbortSignal} signal - Stops adding further groups; those added so far are kept
+     * @returns {Promise<Object>} { addedCount, variantCount, skippedCount }
      */
-    updateTagFilter() {
-        const tags = Catalog.getAllTags();
-        const currentValue = this.elements.filterTags.value;
+    async addScannedGroups(allFiles, signal = null) {
+        // Existing games that new variants can be attached to
+        const nameIndex = Catalog.getNormalizedNameIndex();
+
+        // Add files to catalog in batches
+        let addedCount = 0;
+        let variantCount = 0;
+        let skippedCount = 0;
+        const BATCH_SIZE = 50;
+
+        for (let i = 0; i < allFiles.length; i++) {
+            if (signal && signal.aborted) {
+                await Catalog.commitChanges();
+                throw ScanPool.createCancelError();
+            }
 
-        this.elements.filterTags.innerHTML = '<option value="all">All Tags</option>';
+            const group = allFiles[i];
 
-        for (const tag of tags) {
-            const option = document.createElement('option');
-            option.value = tag;
-            option.textContent = tag;
-            this.elements.filterTags.appendChild(option);
-        }
+            // Skip variants already in catalog, and identical dumps within the group
+            const seenHashes = new Set();
+            const newVariants = group.variants.filter(variant => {
+                const sha1 = variant.hashes ? variant.hashes.sha1 : null;
+                if (Catalog.hasEntry(variant) || (sha1 && seenHashes.has(sha1))) {
+                    return false;
+                }
+                if (sha1) seenHashes.add(sha1);
+                return true;
+            });
+            skippedCount += group.variants.length - newVariants.length;
+            if (newVariants.length === 0) {
+                continue;
+            }
 
-        // Restore selection if still valid
-        if (tags.includes(currentValue)) {
-            this.elements.filterTags.value = currentValue;
+            // Attach to an existing game of the same name
+            const existing = nameIndex.get(Scanner.normalizeFilename(group.name));
+            if (existing) {
+                Catalog.addVariants(existing.id, newVariants, true);
+                variantCount += newVariants.length;
+                continue;
+            }
+
+            const file = { ...newVariants[0], variants: newVariants };
+
+            // Lookup metadata, falling back to what the filename tells us
+            const gameName = Scanner.extractGameName(file.name);
+            const metadata = await Metadata.lookup(gameName);
+            const nameInfo = Tosec.parse(file.name);
+
+            // Add to catalog (file data from ZIPs is not stored in memory for efficiency)
+            // Library organization can be done separately via "Organize Existing Games"
+            // Use deferSave=true to write entries to the database in batches
+            Catalog.addEntry(file, {
+                gameName,
+                year: metadata.year || nameInfo.year || '',
+                publisher: metadata.publisher || nameInfo.publisher || '',
+                boxArtUrl: metadata.boxArtUrl
+            }, true); // deferSave = true
+
+            addedCount++;
+
+            // Update progress and yield to browser every BATCH_SIZE files
+            if (i % BATCH_SIZE === 0) {
+                const progress = 50 + ((i + 1) / allFiles.length) * 50;
+                this.elements.scanProgressFill.style.width = `${progress}%`;
+                this.elements.scanStatusText.textContent = `Processing ${i + 1}/${allFiles.length}...`;
+
+                // Commit changes to the database periodically (every BATCH_SIZE)
+                await Catalog.commitChanges();
+
+                // Yield to browser to prevent freezing and allow GC
+                await new Promise(r => setTimeout(r, 0));
+            }
         }
+
+        // Final commit of any remaining entries
+        await Catalog.commitChanges();
+
+        return { addedCount, variantCount, skippedCount };
     },
 
     /**
-     * Add a tag to the selected entry
+     * Render the remembered scan folders in the settings modal
      */
-    addTag() {
-        const tag = this.elements.newTagInput.value.trim();
-        if (!tag || !this.state.selectedEntryId) return;
+    updateScanRootsList() {
+        const roots = Roots.getScanRoots();
+        if (roots.length === 0) {
+            this.elements.scanRootsList.innerHTML = '<span class="form-hint">No folders scanned yet</span>';
+            return;
+        }
 
-        Catalog.addTag(this.state.selectedEntryId, tag);
-        this.updateDetailPanel();
-        this.updateTagFilter();
-        this.closeModal('tag');
-        this.elements.newTagInput.value = '';
-        this.showToast(`Tag "${tag}" added`, 'success');
+        this.elements.scanRootsList.innerHTML = roots.map(root => `
+            <div class="scan-root-item" data-root-id="${root.id}">
+                <div>
+                    <div>${this.escapeHtml(root.name)}</div>
+                    <div class="scan-root-count">${Catalog.getVariantsByRoot(root.id).length} files</div>
+                    <input type="text" class="scan-root-location" placeholder="Location on disk, e.g. C:\\Games\\C64">
+                </div>
+                <div class="scan-root-actions">
+                    <button class="btn btn-small btn-ghost" data-action="rescan">Rescan</button>
+                    <button class="btn btn-small btn-ghost" data-action="forget">Forget</button>
+                </div>
+            </div>
+        `).join('');
+
+        for (const root of roots) {
+            this.elements.scanRootsList.querySelector(`[data-root-id="${root.id}"] .scan-root-location`).value =
+                root.diskPath || '';
+        }
     },
 
     /**
-     * Launch game in emulator
+     * Handle rescan/forget clicks in the scanned folders list
      */
-    launchGame() {
-        const settings = Catalog.getSettings();
-        const entry = Catalog.getEntry(this.state.selectedEntryId);
+    handleScanRootAction(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
 
-        if (!entry) return;
+        const rootId = button.closest('.scan-root-item').dataset.rootId;
 
-        if (!settings.emulatorPath) {
-            this.showToast('Please configure VICE emulator path in Settings', 'warning');
-            this.openModal('settings');
-            return;
+        if (button.dataset.action === 'rescan') {
+            this.rescanRoot(rootId);
+        } else if (button.dataset.action === 'forget') {
+            this.forgetRoot(rootId);
         }
+    },
 
-        // Generate launch command
-        const command = `"${settings.emulatorPath}" "${entry.originalPath}"`;
+    /**
+     * Save a scanned folder's location on disk when its field changes
+     */
+    async handleScanRootLocation(e) {
+        if (!e.target.classList.contains('scan-root-location')) return;
 
-        // Copy to clipboard
-        navigator.clipboard.writeText(command).then(() => {
-            this.showToast('Launch command copied to clipboard! Paste in terminal to run.', 'success');
-        }).catch(() => {
-            // Fallback: show the command
-            prompt('Copy this command to launch the game:', command);
-        });
+        const rootId = e.target.closest('.scan-root-item').dataset.rootId;
+        try {
+            await Roots.setDiskPath(rootId, e.target.value.trim());
+        } catch (error) {
+            console.error('Error saving folder location:', error);
+            this.showToast('Failed to save folder location', 'error');
+        }
     },
 
     /**
-     * Copy file path to clipboard
+     * Forget a scanned folder; its games stay in the catalog
+     * @param {string} rootId - Root ID
      */
-    copyPath() {
-        const entry = Catalog.getEntry(this.state.selectedEntryId);
-        if (!entry) return;
+    async forgetRoot(rootId) {
+        const root = Roots.getRoot(rootId);
+        if (!root) return;
 
-        navigator.clipboard.writeText(entry.originalPath).then(() => {
-            this.showToast('Path copied to clipboard', 'success');
-        }).catch(() => {
-            this.showToast('Failed to copy path', 'error');
-        });
+        if (!confirm(`Forget "${root.name}"? Its games stay in the catalog but the folder can no longer be rescanned.`)) {
+            return;
+        }
+
+        await Roots.removeRoot(rootId);
+        this.state.disconnectedRoots = this.state.disconnectedRoots.filter(r => r.id !== rootId);
+        this.updateReconnectBar();
+        this.updateScanRootsList();
     },
 
     /**
-     * Remove current entry from catalog
+     * Rescan a remembered folder and preview what changed
+     * @param {string} rootId - Root ID
      */
-    removeCurrentEntry() {
+    async rescanRoot(rootId) {
+        const root = Roots.getRoot(rootId);
+        if (!root) return;
+
+        try {
+            if (await Roots.queryPermission(root) !== 'granted' && !await Roots.requestPermission(root)) {
+                this.showToast(`No permission to read "${root.name}"`, 'warning');
+                return;
+            }
+            this.state.disconnectedRoots = this.state.disconnectedRoots.filter(r => r.id !== root.id);
+            this.updateReconnectBar();
+
+            // Reset ZIP memory for this scan session
+            this._zipRememberChoice = null;
+            this.scanAbort = new AbortController();
+
+            this.closeModal('settings');
+            this.openModal('scan');
+            this.elements.scanCount.textContent = '0';
+            this.elements.scanProgressFill.style.width = '0%';
+            this.elements.scanStatusText.textContent = `Checking ${root.name} for changes...`;
+
+            const { files, zipFiles } = await Scanner.listDirectoryWithZips(root.handle, (count) => {
+                this.elements.scanCount.textContent = count;
+            });
+            const diff = await this.buildRescanDiff(root, files, zipFiles, this.scanAbort.signal);
+
+            this.closeModal('scan');
+
+            const changeCount = diff.added.length + diff.changed.length + diff.moved.length +
+                diff.missing.length + diff.restored.length;
+
+            if (changeCount === 0) {
+                // Files that were only touched get their new dates without asking
+                if (diff.touched.length > 0) {
+                    await Catalog.applyRescan(diff.touched.map(item => this.toRescanUpdate(item)), []);
+                }
+                if (diff.failedZips.length > 0) {
+                    this.showToast(`No changes in "${root.name}", but ${diff.failedZips.length} archive(s) could not be read`, 'warning');
+                } else {
+                    this.showToast(`No changes in "${root.name}"`, 'info');
+                }
+                return;
+            }
+
+            this.state.pendingRescan = { root, diff };
+            this.showRescanPreview();
+        } catch (error) {
+            this.closeModal('scan');
+            if (error.name === 'AbortError') {
+                this.showToast('Rescan cancelled', 'info');
+            } else {
+                console.error('Rescan error:', error);
+                this.showToast('Error rescanning folder: ' + error.message, 'error');
+            }
+        } finally {
+            this.scanAbort = null;
+        }
+    },
+
+    /**
+     * Work out what changed in a folder since it was last scanned
+     * Only files that are new or whose size/date changed are read and hashed
+     * @param {Object} root - Root record
+     * @param {Array<Object>} files - Listed files from Scanner.listDirectoryWithZips()
+     * @param {Array<Object>} zipFiles - Listed ZIP files and other archives
+     * @param {AbortSignal} signal - Cancels the rescan
+     * @returns {Promise<Object>} { added, changed, moved, missing, restored, touched, failedZips }
+     */
+    async buildRescanDiff(root, files, zipFiles, signal = null) {
+        const known = new Map();
+        const knownZips = new Set();
+        for (const item of Catalog.getVariantsByRoot(root.id)) {
+            known.set(item.variant.originalPath, item);
+            if (item.variant.sourceZipPath) {
+                knownZips.add(item.variant.sourceZipPath);
+            }
+        }
+
+        const diff = { added: [], changed: [], moved: [], missing: [], restored: [], touched: [], failedZips: [] };
+        const seen = new Set();
+
+        // Sort an analyzed file that is already known by whether its content changed
+        const compare = (file, item) => {
+            const sameContent = item.variant.hashes && file.hashes &&
+                item.variant.hashes.sha1 === file.hashes.sha1;
+            if (!sameContent) {
+                diff.changed.push({ ...item, file });
+            } else if (item.variant.missing) {
+                diff.restored.push({ ...item, file });
+            } else {
+                diff.touched.push({ ...item, file });
+            }
+        };
+
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            const item = known.get(file.path);
+            file.rootId = root.id;
+            seen.add(file.path);
+
+            if (item && item.variant.fileSize === file.size && item.variant.lastModified === file.lastModified) {
+                if (item.variant.missing) {
+                    diff.restored.push({ ...item, file: null });
+                }
+                continue;
+            }
+
+            this.elements.scanStatusText.textContent = `Reading ${file.name} (${i + 1}/${files.length})...`;
+            await Scanner.readAndAnalyze(file, signal);
+
+            if (item) {
+                compare(file, item);
+            } else {
+                diff.added.push(file);
+            }
+        }
+
+        const zipPolicy = Catalog.getSettings().zipPolicy;
+
+        // Files from an archive that can't be read this time aren't reported as missing
+        const keepArchiveFiles = (zipPath) => {
+            for (const item of known.values()) {
+                if (item.variant.sourceZipPath === zipPath) seen.add(item.variant.originalPath);
+            }
+        };
+
+        for (const zipInfo of zipFiles) {
+            if (!Scanner.canReadArchive(zipInfo.kind)) {
+                keepArchiveFiles(zipInfo.path);
+                continue;
+            }
+
+            // Archives that weren't extracted before go through the ZIP policy like in a full scan
+            if (!knownZips.has(zipInfo.path) && !await this.shouldExtractZip(zipInfo, zipPolicy)) {
+                continue;
+            }
+
+            this.elements.scanStatusText.textContent = `Scanning ${zipInfo.name}...`;
+            let zipContents;
+            try {
+                zipContents = await Scanner.scanArchiveInPool(zipInfo.file, zipInfo.path, { signal });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+
+                console.warn(`Error scanning ${zipInfo.name}:`, error);
+                diff.failedZips.push({ name: zipInfo.name, path: zipInfo.path, error: error.message });
+                keepArchiveFiles(zipInfo.path);
+                continue;
+            }
+
+            for (const file of zipContents) {
+                const item = known.get(file.path);
+                file.rootId = root.id;
+                seen.add(file.path);
+
+                if (item) {
+                    compare(file, item);
+                } else {
+                    diff.added.push(file);
+                }
+            }
+        }
+
+        const vanished = [...known.values()].filter(item => !seen.has(item.variant.originalPath));
+        diff.missing = vanished.filter(item => !item.variant.missing);
+
+        // A new file with the same content as a vanished one was moved or renamed
+        const vanishedByHash = new Map();
+        for (const item of vanished) {
+            if (item.variant.hashes) {
+                vanishedByHash.set(item.variant.hashes.sha1, item);
+            }
+        }
+        diff.added = diff.added.filter(file => {
+            const item = file.hashes ? vanishedByHash.get(file.hashes.sha1) : null;
+            if (!item) return true;
+
+            vanishedByHash.delete(file.hashes.sha1);
+            diff.missing = diff.missing.filter(m => m !== item);
+            diff.moved.push({ ...item, file });
+            return false;
+        });
+
+        return diff;
+    },
+
+    /**
+     * Convert a rescan diff item to a Catalog.applyRescan() update
+     */
+    toRescanUpdate(item) {
+        return { entryId: item.entry.id, variantId: item.variant.id, fileInfo: item.file };
+    },
+
+    /**
+     * Show the pending rescan diff for confirmation
+     */
+    showRescanPreview() {
+        const { root, diff } = this.state.pendingRescan;
+
+        this.elements.rescanRootName.textContent = root.name;
+        this.elements.rescanSummary.innerHTML = `
+            <span><strong>${diff.added.length}</strong> added</span>
+            <span><strong>${diff.changed.length}</strong> changed</span>
+            <span><strong>${diff.moved.length}</strong> moved</span>
+            <span><strong>${diff.missing.length}</strong> missing</span>
+            <span><strong>${diff.restored.length}</strong> back again</span>
+        `;
+
+        this.renderReportSections(this.elements.rescanSections, [
+            { title: 'Added', items: diff.added.map(file => file.path) },
+            { title: 'Changed', items: diff.changed.map(item => item.variant.originalPath) },
+            { title: 'Moved', items: diff.moved.map(item => `${item.variant.originalPath} → ${item.file.path}`) },
+            { title: 'Missing (will be flagged)', items: diff.missing.map(item => item.variant.originalPath) },
+            { title: 'Back again', items: diff.restored.map(item => item.variant.originalPath) },
+            { title: 'Unreadable archives (left as they were)', items: diff.failedZips.map(zip => `${zip.path}: ${zip.error}`) }
+        ]);
+
+        this.openModal('rescan');
+    },
+
+    /**
+     * Apply the confirmed rescan diff
+     * Known files are updated in place; new files go through the normal add path
+     */
+    async applyRescan() {
+        const pending = this.state.pendingRescan;
+        if (!pending) return;
+
+        this.state.pendingRescan = null;
+        this.closeModal('rescan');
+
+        const { root, diff } = pending;
+
+        try {
+            await Catalog.applyRescan(
+                [...diff.changed, ...diff.moved, ...diff.restored, ...diff.touched]
+                    .map(item => this.toRescanUpdate(item)),
+                diff.missing.map(item => ({ entryId: item.entry.id, variantId: item.variant.id }))
+            );
+
+            let addedCount = 0;
+            let variantCount = 0;
+            if (diff.added.length > 0) {
+                this.openModal('scan');
+                this.elements.scanStatusText.textContent = 'Adding new files...';
+                this.elements.scanProgressFill.style.width = '50%';
+                ({ addedCount, variantCount } = await this.addScannedGroups(Scanner.groupVariants(diff.added)));
+                this.closeModal('scan');
+            }
+
+            this.render();
+            this.updateStats();
+            this.updateDetailPanel();
+
+            const updated = diff.changed.length + diff.moved.length + diff.restored.length;
+            this.showToast(
+                `Rescanned ${root.name}: ${addedCount} games and ${variantCount} variants added, ` +
+                `${updated} updated, ${diff.missing.length} missing`,
+                diff.missing.length > 0 ? 'warning' : 'success'
+            );
+        } catch (error) {
+            console.error('Error applying rescan:', error);
+            this.closeModal('scan');
+            this.showToast('Error applying rescan: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Update statistics display
+     */
+    updateStats() {
+        const stats = Catalog.getStats();
+        this.elements.statTotal.textContent = stats.total;
+        this.elements.statDisk.textContent = stats.disk;
+        this.elements.statTape.textContent = stats.tape;
+        this.elements.statCart.textContent = stats.cart;
+        this.elements.statProgram.textContent = stats.program;
+        this.elements.statContainer.textContent = stats.container;
+    },
+
+    /**
+     * Update tag filter dropdown
+     */
+    updateTagFilter() {
+        const tags = Catalog.getAllTags();
+        const currentValue = this.elements.filterTags.value;
+
+        this.elements.filterTags.innerHTML = '<option value="all">All Tags</option>';
+
+        for (const tag of tags) {
+            const option = document.createElement('option');
+            option.value = tag;
+            option.textContent = tag;
+            this.elements.filterTags.appendChild(option);
+        }
+
+        // Restore selection if still valid
+        if (tags.includes(currentValue)) {
+            this.elements.filterTags.value = currentValue;
+        }
+    },
+
+    /**
+     * Update tape loader filter dropdown
+     */
+    updateLoaderFilter() {
+        const loaders = Catalog.getAllLoaders();
+        const currentValue = this.elements.filterLoader.value;
+
+        this.elements.filterLoader.innerHTML = '<option value="all">All Loaders</option>';
+
+        for (const loader of loaders) {
+            const option = document.createElement('option');
+            option.value = loader;
+            option.textContent = loader;
+            this.elements.filterLoader.appendChild(option);
+        }
+
+        // Restore selection if still valid
+        if (loaders.includes(currentValue)) {
+            this.elements.filterLoader.value = currentValue;
+        }
+    },
+
+    /**
+     * Add a tag to the selected entry
+     */
+    addTag() {
+        const tag = this.elements.newTagInput.value.trim();
+        if (!tag || !this.state.selectedEntryId) return;
+
+        Catalog.addTag(this.state.selectedEntryId, tag);
+        this.updateDetailPanel();
+        this.updateTagFilter();
+        this.closeModal('tag');
+        this.elements.newTagInput.value = '';
+        this.showToast(`Tag "${tag}" added`, 'success');
+    },
+
+    /**
+     * Launch game in emulator
+     * Goes through the launch helper when it's running, otherwise copies the command
+     * @param {string|null} variantId - Variant to launch (defaults to the preferred one)
+     */
+    async launchGame(variantId = null) {
+        const settings = Catalog.getSettings();
+        const entry = Catalog.getEntry(this.state.selectedEntryId);
+
+        if (!entry) return;
+
+        const variant = (variantId && Catalog.getVariants(entry).find(v => v.id === variantId)) ||
+            Catalog.getPreferredVariant(entry);
+
+        // Generate launch command
+        let launch;
+        try {
+            launch = Launcher.getLaunchCommand(entry, variant, settings);
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+            this.updateScanRootsList();
+            this.openModal('settings');
+            return;
+        }
+        const { command, profile, warning } = launch;
+
+        try {
+            if (await Launcher.launchWithHelper(launch, settings)) {
+                if (warning) {
+                    this.showToast(`Launched ${entry.gameName} with ${profile.name}, but ${warning}`, 'warning');
+                } else {
+                    this.showToast(`Launched ${entry.gameName} with ${profile.name}`, 'success');
+                }
+                return;
+            }
+        } catch (error) {
+            this.showToast(`Launch helper: ${error.message}. Copying the command instead.`, 'warning');
+        }
+
+        // Copy to clipboard
+        navigator.clipboard.writeText(command).then(() => {
+            if (warning) {
+                this.showToast(`${profile.name} command copied, but ${warning}. Run it from that folder.`, 'warning');
+            } else {
+                this.showToast(`${profile.name} command copied to clipboard! Paste in terminal to run.`, 'success');
+            }
+        }).catch(() => {
+            // Fallback: show the command
+            prompt('Copy this command to launch the game:', command);
+        });
+    },
+
+    /**
+     * Get the selected entry's disk set and the paths its playlists list
+     * @returns {Object|null} { entry, disks, paths } or null if it isn't a multi-disk game
+     * @throws {Error} If no playlist can tell the set's disks apart
+     */
+    getSelectedDiskSet() {
+        const entry = Catalog.getEntry(this.state.selectedEntryId);
+        if (!entry) return null;
+
+        const disks = Catalog.getDiskSet(entry, Catalog.getPreferredVariant(entry));
+        if (disks.length < 2) return null;
+
+        return { entry, disks, paths: this.getPlaylistPaths(entry, disks) };
+    },
+
+    /**
+     * Get the paths an entry's playlists list, from its library copies if it has them
+     * @param {Object} entry - Catalog entry
+     * @param {Array<Object>} disks - Variants from Catalog.getDiskSet()
+     * @returns {Array<string>}
+     * @throws {Error} If no playlist can tell the set's disks apart
+     */
+    getPlaylistPaths(entry, disks) {
+        const libraryPaths = entry.libraryPath
+            ? this.getLibraryFiles(entry).map(item => item.libraryPath)
+            : null;
+        return Launcher.getPlaylistPaths(disks, libraryPaths);
+    },
+
+    /**
+     * Download the selected game's disk set as a VICE fliplist and an M3U playlist
+     */
+    downloadPlaylists() {
+        let set;
+        try {
+            set = this.getSelectedDiskSet();
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+            return;
+        }
+        if (!set) return;
+
+        const baseName = Library.sanitizeName(set.entry.gameName);
+        const files = [
+            [`${baseName}.vfl`, Launcher.buildFliplist(set.paths)],
+            [`${baseName}.m3u`, Launcher.buildM3u(set.paths)]
+        ];
+
+        for (const [filename, content] of files) {
+            const blob = new Blob([content], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+
+            URL.revokeObjectURL(url);
+        }
+
+        this.showToast('Fliplist and playlist downloaded', 'success');
+    },
+
+    /**
+     * Save the selected game's fliplist and M3U playlist into its library folder
+     * Launch commands then hand the fliplist to the emulator
+     */
+    async savePlaylistsToLibrary() {
+        const entry = Catalog.getEntry(this.state.selectedEntryId);
+        if (!entry || !entry.libraryPath) return;
+
+        if (!Library.isAvailable()) {
+            this.showToast('Please select a library folder first', 'warning');
+            return;
+        }
+
+        const folder = Library.getGameFolderPath(entry.libraryPath);
+
+        try {
+            const set = this.getSelectedDiskSet();
+            if (!set) return;
+
+            const playlistPath = await this.writeLibraryPlaylists(set.entry, set.paths);
+            Catalog.updateEntry(set.entry.id, { playlistPath });
+            this.showToast(`Fliplist and playlist saved to ${folder || Library.getLibraryName()}`, 'success');
+        } catch (error) {
+            console.error('Error saving playlists:', error);
+            this.showToast('Failed to save playlists: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Write a game's fliplist and M3U playlist into its library folder
+     * @param {Object} entry - Catalog entry with a libraryPath
+     * @param {Array<string>} paths - Disk paths in order
+     * @returns {Promise<string>} The fliplist's library path
+     */
+    async writeLibraryPlaylists(entry, paths) {
+        const folder = Library.getGameFolderPath(entry.libraryPath);
+        const baseName = Library.sanitizeName(entry.gameName);
+
+        const playlistPath = await Library.writeFile(Library.joinPath(folder, `${baseName}.vfl`),
+            Launcher.buildFliplist(paths));
+        await Library.writeFile(Library.joinPath(folder, `${baseName}.m3u`), Launcher.buildM3u(paths));
+        return playlistPath;
+    },
+
+    /**
+     * Save the library folder's location on disk when its field changes
+     */
+    async handleLibraryDiskPath() {
+        if (!Roots.getLibraryRoot()) {
+            this.showToast('Please select a library folder first', 'warning');
+            return;
+        }
+
+        try {
+            await Roots.setDiskPath(Roots.LIBRARY_ID, this.elements.libraryDiskPath.value.trim());
+        } catch (error) {
+            console.error('Error saving library location:', error);
+            this.showToast('Failed to save library location', 'error');
+        }
+    },
+
+    /**
+     * Copy file path to clipboard
+     */
+    copyPath() {
+        const entry = Catalog.getEntry(this.state.selectedEntryId);
+        if (!entry) return;
+
+        navigator.clipboard.writeText(entry.originalPath).then(() => {
+            this.showToast('Path copied to clipboard', 'success');
+        }).catch(() => {
+            this.showToast('Failed to copy path', 'error');
+        });
+    },
+
+    /**
+     * Show the selected game's folder in the file manager through the launch helper
+     */
+    async openFolder() {
+        const entry = Catalog.getEntry(this.state.selectedEntryId);
+        if (!entry) return;
+
+        try {
+            if (!await Launcher.openFolderWithHelper(Catalog.getPreferredVariant(entry), Catalog.getSettings())) {
+                this.showToast('Start the launch helper (node helper/launch-helper.js) to open folders', 'warning');
+            }
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+        }
+    },
+
+    /**
+     * Remove current entry from catalog
+     */
+    removeCurrentEntry() {
         const entry = Catalog.getEntry(this.state.selectedEntryId);
         if (!entry) return;
 
-        if (confirm(`Remove "${entry.gameName}" from catalog?`)) {
-            Catalog.removeEntry(entry.id);
-            this.closeDetailPanel();
-            this.render();
-            this.updateStats();
-            this.showToast('Game removed from catalog', 'success');
+        if (confirm(`Remove "${entry.gameName}" from catalog?`)) {
+            Catalog.removeEntry(entry.id);
+            this.closeDetailPanel();
+            this.render();
+            this.updateStats();
+            this.showToast('Game removed from catalog', 'success');
+        }
+    },
+
+    /**
+     * Export catalog to file
+     */
+    exportCatalog() {
+        const json = Catalog.export();
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `c64-catalog-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+        this.showToast('Catalog exported', 'success');
+    },
+
+    /**
+     * Import catalog from file
+     */
+    importCatalog() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                const addedCount = await Catalog.import(text);
+                this.render();
+                this.updateStats();
+                this.showToast(`Imported ${addedCount} new entries`, 'success');
+            } catch (error) {
+                this.showToast('Failed to import catalog: ' + error.message, 'error');
+            }
+        };
+
+        input.click();
+    },
+
+    /**
+     * Load a DAT file and verify the catalog against it
+     */
+    loadDatFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.dat,.xml';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const dat = DatFile.parse(await file.text());
+                if (dat.games.length === 0) {
+                    throw new Error('No games found in DAT file');
+                }
+
+                const report = await Catalog.verifyWithDat(dat);
+                this.render();
+                this.updateDetailPanel();
+                this.closeModal('settings');
+                this.showDatReport(report);
+                this.showToast(`Verified ${report.verified.length} dumps against ${report.datName}`, 'success');
+            } catch (error) {
+                this.showToast('Failed to load DAT file: ' + error.message, 'error');
+            }
+        };
+
+        input.click();
+    },
+
+    /**
+     * Show the DAT verification report
+     * @param {Object} report - Report from Catalog.verifyWithDat()
+     */
+    showDatReport(report) {
+        this.state.datReport = report;
+
+        this.elements.datReportName.textContent = report.datVersion
+            ? `${report.datName} (${report.datVersion})`
+            : report.datName;
+
+        this.elements.datReportSummary.innerHTML = `
+            <span><strong>${report.verified.length}</strong> verified</span>
+            <span><strong>${report.bad.length}</strong> bad</span>
+            <span><strong>${report.unknown.length}</strong> unknown</span>
+            <span><strong>${report.missing.length}</strong> missing</span>
+        `;
+
+        this.renderReportSections(this.elements.datReportSections, [
+            { title: 'Bad dumps', items: report.bad.map(item => item.filename) },
+            { title: 'Unknown dumps', items: report.unknown.map(item => item.filename) },
+            { title: 'Missing from catalog', items: report.missing }
+        ]);
+
+        this.openModal('dat');
+    },
+
+    /**
+     * Render collapsible lists of report items, skipping empty ones
+     * @param {HTMLElement} container - Target element
+     * @param {Array<Object>} sections - [{ title, items: [string] }]
+     */
+    renderReportSections(container, sections) {
+        container.innerHTML = sections
+            .filter(section => section.items.length > 0)
+            .map(section => `
+                <details class="report-section">
+                    <summary>${section.title} (${section.items.length})</summary>
+                    <ul>${section.items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
+                </details>
+            `).join('');
+    },
+
+    /**
+     * Download the last DAT verification report as text
+     */
+    downloadDatReport() {
+        const report = this.state.datReport;
+        if (!report) return;
+
+        const lines = [
+            `DAT: ${report.datName}${report.datVersion ? ` (${report.datVersion})` : ''}`,
+            `Verified: ${report.verified.length}`,
+            ''
+        ];
+        const sections = [
+            ['Bad dumps', report.bad.map(item => `${item.filename}${item.canonicalName ? ` = ${item.canonicalName}` : ''}`)],
+            ['Unknown dumps', report.unknown.map(item => item.filename)],
+            ['Missing from catalog', report.missing]
+        ];
+        for (const [title, items] of sections) {
+            lines.push(`${title} (${items.length})`, ...items.map(item => `  ${item}`), '');
+        }
+
+        const blob = new Blob([lines.join('\n')], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `c64-dat-report-${new Date().toISOString().split('T')[0]}.txt`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Clear entire catalog
+     */
+    async clearCatalog() {
+        if (!confirm('Are you sure you want to delete all entries? This cannot be undone.')) {
+            return;
+        }
+
+        // The entries are gone from memory even if storage can't be cleared
+        let error = null;
+        try {
+            await Catalog.clear();
+        } catch (clearError) {
+            console.error('Error clearing catalog:', clearError);
+            error = clearError;
+        }
+
+        this.closeDetailPanel();
+        this.render();
+        this.updateStats();
+        this.closeModal('settings');
+
+        if (error) {
+            this.showToast('Catalog cleared in this session only, not in storage: ' + error.message, 'error');
+        } else {
+            this.showToast('Catalog cleared', 'success');
+        }
+    },
+
+    /**
+     * Toggle library settings visibility
+     * @param {boolean} enabled - Whether library is enabled
+     */
+    async toggleLibrarySettings(enabled) {
+        if (this.elements.librarySettings) {
+            this.elements.librarySettings.style.display = enabled ? 'block' : 'none';
+        }
+
+        if (!enabled) {
+            try {
+                await Library.disable();
+            } catch (error) {
+                console.error('Error forgetting library folder:', error);
+                this.showToast('Failed to forget the library folder: ' + error.message, 'error');
+            }
+        }
+    },
+
+    /**
+     * Browse for library folder
+     */
+    async browseLibrary() {
+        try {
+            const handle = await Library.pickLibraryFolder();
+            if (handle) {
+                this.elements.libraryPath.value = handle.name;
+                this.elements.settingLocalLibrary.checked = true;
+                await this.updateLibraryStats();
+                this.showToast(`Library folder set to: ${handle.name}`, 'success');
+            }
+        } catch (error) {
+            console.error('Error selecting library folder:', error);
+            this.showToast('Failed to select library folder: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Update library statistics display
+     */
+    async updateLibraryStats() {
+        if (!Library.isAvailable()) {
+            this.elements.libraryGameCount.textContent = '0';
+            this.elements.librarySize.textContent = '0 B';
+            return;
+        }
+
+        try {
+            const stats = await Library.getStats();
+            this.elements.libraryGameCount.textContent = stats.gameCount;
+            this.elements.librarySize.textContent = Library.formatSize(stats.totalSize);
+        } catch (error) {
+            console.error('Error getting library stats:', error);
+        }
+    },
+
+    /**
+     * Organize existing catalog games into the local library
+     * Each game is recorded as soon as its files are copied, so running this
+     * again after an interruption carries on with the games that are left
+     * @param {Array<Object>|null} entries - Games to copy (defaults to the whole catalog)
+     */
+    async organizeExistingGames(entries = null) {
+        if (!Library.isAvailable()) {
+            this.showToast('Please select a library folder first', 'warning');
+            return;
+        }
+
+        const entriesToOrganize = (entries || Catalog.getAllEntries()).filter(e => !e.libraryPath);
+
+        if (entriesToOrganize.length === 0) {
+            this.showToast('All games are already in the library', 'info');
+            return;
+        }
+
+        if (!confirm(`This will copy ${entriesToOrganize.length} games to your library folder. Continue?`)) {
+            return;
+        }
+
+        this.scanAbort = new AbortController();
+        const signal = this.scanAbort.signal;
+
+        this.openModal('scan');
+        this.elements.scanStatusText.textContent = 'Organizing games...';
+        this.elements.scanCount.textContent = '0';
+        this.elements.scanProgressFill.style.width = '0%';
+
+        const report = { organized: 0, filesCopied: 0, filesSkipped: 0, failed: [], cancelled: false };
+
+        try {
+            for (let i = 0; i < entriesToOrganize.length; i++) {
+                if (signal.aborted) {
+                    report.cancelled = true;
+                    break;
+                }
+
+                const entry = entriesToOrganize[i];
+                this.elements.scanStatusText.textContent = `Organizing: ${entry.gameName}`;
+
+                try {
+                    const result = await this.copyEntryToLibrary(entry);
+                    report.organized++;
+                    report.filesCopied += result.copied;
+                    report.filesSkipped += result.skipped;
+                } catch (error) {
+                    console.error(`Failed to organize ${entry.gameName}:`, error);
+                    report.failed.push({ name: entry.gameName, error: error.message });
+                }
+
+                this.elements.scanCount.textContent = report.organized;
+                const progress = ((i + 1) / entriesToOrganize.length) * 100;
+                this.elements.scanProgressFill.style.width = `${progress}%`;
+            }
+        } finally {
+            this.scanAbort = null;
+            this.closeModal('scan');
+        }
+
+        await this.writeLibraryManifest();
+        await this.updateLibraryStats();
+        this.render();
+
+        if (report.failed.length > 0) {
+            this.showLibraryCopySummary(report);
+        } else if (report.cancelled) {
+            this.showToast(`Stopped after ${report.organized} games; organize again to copy the rest`, 'warning');
+        } else {
+            this.showToast(`Organized ${report.organized} games to library`, 'success');
+        }
+    },
+
+    /**
+     * Copy a game's files into the library and record where they went
+     * A disk set is copied whole; files already in the library with the same
+     * content are left as they are
+     * @param {Object} entry - Catalog entry
+     * @returns {Promise<Object>} { copied, skipped } file counts
+     * @throws {Error} If a file can't be read or written
+     */
+    async copyEntryToLibrary(entry) {
+        const disks = Catalog.getDiskSet(entry, Catalog.getPreferredVariant(entry));
+        const result = { copied: 0, skipped: 0 };
+        let libraryPath = null;
+
+        for (const variant of disks) {
+            const target = Library.getTargetPath(entry, variant);
+            libraryPath = libraryPath || target.libraryPath;
+
+            let data = null;
+            const existing = await Library.findFile(target.libraryPath);
+            if (existing) {
+                // Entries from before hashing have to be compared with the source itself
+                if (!variant.hashes) {
+                    data = await Roots.readVariant(variant);
+                }
+                const expected = variant.hashes ? variant.hashes.sha1 : await Hash.sha1(data);
+                if (await Hash.sha1(await existing.arrayBuffer()) === expected) {
+                    result.skipped++;
+                    continue;
+                }
+                throw new Error(`A different file is already in the library at ${target.libraryPath}`);
+            }
+
+            data = data || await Roots.readVariant(variant);
+            await Library.addToLibrary(entry, variant, data);
+            result.copied++;
+        }
+
+        Catalog.updateEntry(entry.id, { libraryPath });
+        return result;
+    },
+
+    /**
+     * Show what a library copy did, with the games that failed
+     * @param {Object} report - From organizeExistingGames()
+     */
+    showLibraryCopySummary(report) {
+        this.elements.libraryCopyTitle.textContent = 'Library Copy Finished';
+        this.elements.libraryCopyCounts.innerHTML = `
+            <span><strong>${report.organized}</strong> games organized</span>
+            <span><strong>${report.filesCopied}</strong> files copied</span>
+            <span><strong>${report.filesSkipped}</strong> already in library</span>
+            <span><strong>${report.failed.length}</strong> failed</span>
+        `;
+
+        this.renderReportSections(this.elements.libraryCopySections, [
+            { title: 'Failed (organize again to retry)', items: report.failed.map(item => `${item.name}: ${item.error}`) }
+        ]);
+
+        this.openModal('library-copy');
+    },
+
+    /**
+     * Show where the library layout template puts a game, or what's wrong with it
+     * Uses the selected game, or the first one in the catalog
+     */
+    renderLibraryTemplatePreview() {
+        const template = this.elements.libraryTemplate.value;
+        const preview = this.elements.libraryTemplatePreview;
+        const error = Library.validateTemplate(template);
+
+        preview.classList.toggle('error', Boolean(error));
+        if (error) {
+            preview.textContent = error;
+            return;
+        }
+
+        const entry = Catalog.getEntry(this.state.selectedEntryId) || Catalog.getAllEntries()[0] ||
+            this.LIBRARY_PREVIEW_ENTRY;
+        const variant = entry.variants ? Catalog.getPreferredVariant(entry) : entry;
+        preview.textContent = Library.getTargetPath(entry, variant, template).libraryPath;
+    },
+
+    // Stands in for a game in the layout preview while the catalog is empty
+    LIBRARY_PREVIEW_ENTRY: {
+        gameName: 'Impossible Mission',
+        publisher: 'Epyx',
+        developer: 'Dennis Caswell',
+        year: '1984',
+        genre: 'Platform',
+        filename: 'Impossible Mission (1984)(Epyx).d64',
+        extension: '.d64'
+    },
+
+    /**
+     * Switch the library to the layout template in Settings
+     * Files already in the library are moved to match it, one game at a time.
+     * The layout being left is kept until every game has moved, so applying a
+     * template again after an interruption finishes the job
+     */
+    async applyLibraryTemplate() {
+        const template = this.elements.libraryTemplate.value.trim();
+        const error = Library.validateTemplate(template);
+        if (error) {
+            this.showToast(error, 'error');
+            return;
+        }
+
+        // Games left behind by an interrupted re-layout may still be in the layout before it
+        const pendingTemplate = Catalog.getSettings().libraryPreviousTemplate;
+        const previousTemplates = [...new Set([pendingTemplate || Library.getTemplate(), Library.getTemplate()])];
+        const entriesToMove = Catalog.getAllEntries().filter(entry =>
+            entry.libraryPath && this.getLibraryDisks(entry, template)[0].libraryPath !== entry.libraryPath);
+
+        if (entriesToMove.length > 0) {
+            if (!Library.isAvailable()) {
+                this.showToast('Please reconnect the library folder first', 'warning');
+                return;
+            }
+            if (!confirm(`This will move the files of ${entriesToMove.length} games in your library to the new layout. Continue?`)) {
+                return;
+            }
+        }
+
+        this.elements.libraryTemplate.value = template;
+
+        if (entriesToMove.length === 0) {
+            Catalog.updateSettings({ libraryTemplate: template, libraryPreviousTemplate: null });
+            await this.writeLibraryManifest();
+            this.showToast('Library layout saved', 'success');
+            return;
+        }
+
+        // Saved first so games copied from now on already use the new layout
+        Catalog.updateSettings({ libraryTemplate: template, libraryPreviousTemplate: previousTemplates[0] });
+
+        this.scanAbort = new AbortController();
+        const signal = this.scanAbort.signal;
+
+        this.openModal('scan');
+        this.elements.scanStatusText.textContent = 'Moving games...';
+        this.elements.scanCount.textContent = '0';
+        this.elements.scanProgressFill.style.width = '0%';
+
+        const report = { moved: 0, filesMoved: 0, failed: [], cancelled: false };
+
+        try {
+            for (let i = 0; i < entriesToMove.length; i++) {
+                if (signal.aborted) {
+                    report.cancelled = true;
+                    break;
+                }
+
+                const entry = entriesToMove[i];
+                this.elements.scanStatusText.textContent = `Moving: ${entry.gameName}`;
+
+                try {
+                    report.filesMoved += await this.moveEntryInLibrary(entry, previousTemplates, template);
+                    report.moved++;
+                } catch (error) {
+                    console.error(`Failed to move ${entry.gameName}:`, error);
+                    report.failed.push({ name: entry.gameName, error: error.message });
+                }
+
+                this.elements.scanCount.textContent = report.moved;
+                this.elements.scanProgressFill.style.width = `${((i + 1) / entriesToMove.length) * 100}%`;
+            }
+        } finally {
+            this.scanAbort = null;
+            this.closeModal('scan');
+        }
+
+        if (report.failed.length === 0 && !report.cancelled) {
+            Catalog.updateSettings({ libraryPreviousTemplate: null });
+        }
+        await this.writeLibraryManifest();
+        this.render();
+
+        if (report.failed.length > 0) {
+            this.showLibraryMoveSummary(report);
+        } else if (report.cancelled) {
+            this.showToast(`Stopped after ${report.moved} games; apply the layout again to move the rest`, 'warning');
+        } else {
+            this.showToast(`Moved ${report.moved} games to the new layout`, 'success');
         }
     },
 
     /**
-     * Export catalog to file
+     * Get the files a game keeps in the library (its whole disk set) and where a template puts them
+     * @param {Object} entry - Catalog entry
+     * @param {string} template - Layout template
+     * @returns {Array<Object>} { variant, libraryPath } per file, the one recorded as libraryPath first
      */
-    exportCatalog() {
-        const json = Catalog.export();
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+    getLibraryDisks(entry, template) {
+        return Catalog.getDiskSet(entry, Catalog.getPreferredVariant(entry)).map(variant => ({
+            variant,
+            libraryPath: Library.getTargetPath(entry, variant, template).libraryPath
+        }));
+    },
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `c64-catalog-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
+    /**
+     * Move a game's library files, and its saved fliplist and playlist, to a new layout
+     * The catalog only records the first file's path; the others are looked
+     * for beside it under the names any of the templates gives them
+     * @param {Object} entry - Catalog entry with a libraryPath
+     * @param {Array<string>} previousTemplates - Templates the files may be laid out with
+     * @param {string} template - Template to move them to
+     * @returns {Promise<number>} Number of files moved
+     * @throws {Error} If a file is missing or its new place is taken
+     */
+    async moveEntryInLibrary(entry, previousTemplates, template) {
+        const oldFolder = Library.getGameFolderPath(entry.libraryPath);
+        const layouts = [...previousTemplates, template].map(t => this.getLibraryDisks(entry, t));
+        const disks = layouts[layouts.length - 1];
+        let moved = 0;
+
+        for (let i = 0; i < disks.length; i++) {
+            const candidates = i === 0 ? [entry.libraryPath] : [...new Set(layouts.map(layout =>
+                Library.joinPath(oldFolder, layout[i].libraryPath.split('/').pop())))];
+
+            let fromPath = null;
+            for (const candidate of candidates) {
+                if (await Library.findFile(candidate)) {
+                    fromPath = candidate;
+                    break;
+                }
+            }
 
-        URL.revokeObjectURL(url);
-        this.showToast('Catalog exported', 'success');
+            if (!fromPath) {
+                // Moved by an earlier, interrupted run
+                if (await Library.findFile(disks[i].libraryPath)) continue;
+                throw new Error(`Not found in the library: ${candidates[0]}`);
+            }
+
+            await Library.moveFile(fromPath, disks[i].libraryPath);
+            moved++;
+        }
+
+        // Recorded before the playlists are rewritten, so a retry doesn't move the disks again
+        const movedEntry = Catalog.updateEntry(entry.id, { libraryPath: disks[0].libraryPath });
+        const newFolder = Library.getGameFolderPath(disks[0].libraryPath);
+
+        if (entry.playlistPath) {
+            // Written afresh rather than moved, since they list the disks under their old names
+            const oldPaths = [entry.playlistPath, entry.playlistPath.replace(/\.vfl$/, '.m3u')];
+            let playlistPath = null;
+
+            // A fliplist that has gone missing is forgotten rather than blocking the move
+            if (await Library.findFile(entry.playlistPath)) {
+                playlistPath = await this.writeLibraryPlaylists(movedEntry,
+                    this.getPlaylistPaths(movedEntry, disks.map(disk => disk.variant)));
+            }
+            const newPaths = playlistPath ? [playlistPath, playlistPath.replace(/\.vfl$/, '.m3u')] : [];
+            for (const oldPath of oldPaths) {
+                if (!newPaths.includes(oldPath) && await Library.findFile(oldPath)) {
+                    await Library.removeFile(oldPath);
+                }
+            }
+            Catalog.updateEntry(entry.id, { playlistPath });
+        }
+
+        // The sidecar is written afresh in the new folder when the entry is updated
+        if (oldFolder && oldFolder !== newFolder) {
+            await Library.removeSidecar(oldFolder);
+        }
+
+        return moved;
     },
 
     /**
-     * Import catalog from file
+     * Show what a re-layout did, with the games that failed
+     * @param {Object} report - From applyLibraryTemplate()
      */
-    importCatalog() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
+    showLibraryMoveSummary(report) {
+        this.elements.libraryCopyTitle.textContent = 'Library Re-layout Finished';
+        this.elements.libraryCopyCounts.innerHTML = `
+            <span><strong>${report.moved}</strong> games moved</span>
+            <span><strong>${report.filesMoved}</strong> files moved</span>
+            <span><strong>${report.failed.length}</strong> failed</span>
+        `;
 
-        input.onchange = async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
+        this.renderReportSections(this.elements.libraryCopySections, [
+            { title: 'Failed (apply the layout again to retry)', items: report.failed.map(item => `${item.name}: ${item.error}`) }
+        ]);
 
-            try {
-                const text = await file.text();
-                const addedCount = Catalog.import(text);
-                this.render();
-                this.updateStats();
-                this.showToast(`Imported ${addedCount} new entries`, 'success');
-            } catch (error) {
-                this.showToast('Failed to import catalog: ' + error.message, 'error');
-            }
-        };
+        this.openModal('library-copy');
+    },
 
-        input.click();
+    /**
+     * Get the files a game should have in the library
+     * The first is the recorded libraryPath; the rest of its disk set is expected
+     * beside it under the names the current layout gives them
+     * @param {Object} entry - Catalog entry with a libraryPath
+     * @returns {Array<Object>} { variant, libraryPath } per file
+     */
+    getLibraryFiles(entry) {
+        const folder = Library.getGameFolderPath(entry.libraryPath);
+
+        return this.getLibraryDisks(entry, Library.getTemplate()).map((disk, i) => ({
+            variant: disk.variant,
+            libraryPath: i === 0 ? entry.libraryPath : Library.joinPath(folder, disk.libraryPath.split('/').pop())
+        }));
     },
 
     /**
-     * Clear entire catalog
+     * Compare the library folder with the catalog
+     * Finds files that are missing or no longer match their hash, C64 files no
+     * game refers to, and games whose library folder is gone
      */
-    clearCatalog() {
-        if (confirm('Are you sure you want to delete all entries? This cannot be undone.')) {
-            Catalog.clear();
-            this.closeDetailPanel();
-            this.render();
-            this.updateStats();
-            this.closeModal('settings');
-            this.showToast('Catalog cleared', 'success');
+    async verifyLibrary() {
+        if (!Library.isAvailable()) {
+            this.showToast('Please select a library folder first', 'warning');
+            return;
+        }
+
+        this.scanAbort = new AbortController();
+        const signal = this.scanAbort.signal;
+
+        this.openModal('scan');
+        this.elements.scanStatusText.textContent = 'Reading library...';
+        this.elements.scanCount.textContent = '0';
+        this.elements.scanProgressFill.style.width = '0%';
+
+        const report = { checked: 0, missing: [], corrupted: [], orphans: [], stale: [] };
+        let cancelled = false;
+
+        try {
+            const { files, folders } = await Library.listContents();
+            const referenced = new Set([Library.MANIFEST_FILENAME]);
+            const entries = Catalog.getAllEntries().filter(entry => entry.libraryPath);
+
+            for (let i = 0; i < entries.length; i++) {
+                if (signal.aborted) {
+                    cancelled = true;
+                    break;
+                }
+
+                const entry = entries[i];
+                this.elements.scanStatusText.textContent = `Verifying: ${entry.gameName}`;
+
+                const folder = Library.getGameFolderPath(entry.libraryPath);
+                if (folder && !folders.has(folder)) {
+                    report.stale.push({ entry });
+                } else {
+                    for (const item of this.getLibraryFiles(entry)) {
+                        referenced.add(item.libraryPath);
+                        const handle = files.get(item.libraryPath);
+
+                        if (!handle) {
+                            report.missing.push({ entry, ...item });
+                        } else if (item.variant.hashes) {
+                            const file = await handle.getFile();
+                            if (await Hash.sha1(await file.arrayBuffer()) !== item.variant.hashes.sha1) {
+                                report.corrupted.push({ entry, ...item });
+                            }
+                        }
+                        report.checked++;
+                    }
+
+                    if (entry.playlistPath) {
+                        referenced.add(entry.playlistPath);
+                        referenced.add(entry.playlistPath.replace(/\.vfl$/, '.m3u'));
+                    }
+                }
+
+                this.elements.scanCount.textContent = report.checked;
+                this.elements.scanProgressFill.style.width = `${((i + 1) / entries.length) * 100}%`;
+            }
+
+            // Unreferenced files only count once every game has been checked
+            if (!cancelled) {
+                for (const [libraryPath, handle] of files) {
+                    if (!referenced.has(libraryPath) && Scanner.isSupportedFile(libraryPath)) {
+                        report.orphans.push({ libraryPath, handle });
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Error verifying library:', error);
+            this.showToast('Failed to verify library: ' + error.message, 'error');
+            return;
+        } finally {
+            this.scanAbort = null;
+            this.closeModal('scan');
         }
+
+        if (cancelled) {
+            this.showToast('Library verification cancelled', 'info');
+            return;
+        }
+
+        this.state.libraryReport = report;
+        this.renderLibraryReport();
+        this.openModal('library-verify');
     },
 
     /**
-     * Toggle library settings visibility
-     * @param {boolean} enabled - Whether library is enabled
+     * Show the last library verification report, with a fix button per problem found
      */
-    toggleLibrarySettings(enabled) {
-        if (this.elements.librarySettings) {
-            this.elements.librarySettings.style.display = enabled ? 'block' : 'none';
+    renderLibraryReport() {
+        const report = this.state.libraryReport;
+        const describe = item => `${item.entry.gameName}: ${item.libraryPath}`;
+
+        this.elements.libraryVerifyCounts.innerHTML = `
+            <span><strong>${report.checked}</strong> files checked</span>
+            <span><strong>${report.missing.length}</strong> missing</span>
+            <span><strong>${report.corrupted.length}</strong> corrupted</span>
+            <span><strong>${report.orphans.length}</strong> not in catalog</span>
+            <span><strong>${report.stale.length}</strong> folders gone</span>
+        `;
+
+        this.renderReportSections(this.elements.libraryVerifySections, [
+            { title: 'Missing files', items: report.missing.map(describe) },
+            { title: 'Corrupted files (hash mismatch)', items: report.corrupted.map(describe) },
+            { title: 'Files no game refers to', items: report.orphans.map(item => item.libraryPath) },
+            { title: 'Games whose library folder is gone', items: report.stale.map(item => `${item.entry.gameName}: ${item.entry.libraryPath}`) }
+        ]);
+
+        this.elements.btnRecopyMissing.style.display = report.missing.length ? '' : 'none';
+        this.elements.btnRecopyCorrupted.style.display = report.corrupted.length ? '' : 'none';
+        this.elements.btnImportOrphans.style.display = report.orphans.length ? '' : 'none';
+        this.elements.btnClearStale.style.display = report.stale.length ? '' : 'none';
+    },
+
+    /**
+     * Copy missing or corrupted library files again from their scan roots
+     * @param {string} category - 'missing' or 'corrupted'
+     */
+    async recopyLibraryFiles(category) {
+        const report = this.state.libraryReport;
+        const remaining = [];
+        let copied = 0;
+
+        for (const item of report[category]) {
+            try {
+                const data = await Roots.readVariant(item.variant);
+                if (item.variant.hashes && await Hash.sha1(data) !== item.variant.hashes.sha1) {
+                    throw new Error('the source file has changed too');
+                }
+                await Library.writeFile(item.libraryPath, data);
+                copied++;
+            } catch (error) {
+                console.error(`Failed to copy ${item.libraryPath}:`, error);
+                remaining.push(item);
+            }
         }
 
-        if (!enabled) {
-            Library.disable();
+        report[category] = remaining;
+        this.renderLibraryReport();
+        await this.updateLibraryStats();
+
+        if (remaining.length > 0) {
+            this.showToast(`Copied ${copied} files; ${remaining.length} could not be read from their source`, 'warning');
+        } else {
+            this.showToast(`Copied ${copied} files to the library`, 'success');
         }
     },
 
     /**
-     * Browse for library folder
+     * Add library files no game refers to as new games that live in the library
+     * Files whose dump the catalog already has are skipped by addLibraryGames()
      */
-    async browseLibrary() {
+    async importLibraryOrphans() {
+        const report = this.state.libraryReport;
+
+        this.scanAbort = new AbortController();
+        const signal = this.scanAbort.signal;
+
+        this.openModal('scan');
+        this.elements.scanStatusText.textContent = 'Reading library...';
+        this.elements.scanCount.textContent = '0';
+        this.elements.scanProgressFill.style.width = '0%';
+
+        let result;
         try {
-            const handle = await Library.pickLibraryFolder();
-            if (handle) {
-                this.elements.libraryPath.value = handle.name;
-                this.elements.settingLocalLibrary.checked = true;
-                await this.updateLibraryStats();
-                this.showToast(`Library folder set to: ${handle.name}`, 'success');
-            }
+            result = await this.addLibraryGames(report.orphans, Library.getTemplate(), signal);
         } catch (error) {
-            console.error('Error selecting library folder:', error);
-            this.showToast('Failed to select library folder: ' + error.message, 'error');
+            console.error('Error importing library files:', error);
+            this.showToast('Failed to import library files: ' + error.message, 'error');
+            return;
+        } finally {
+            this.scanAbort = null;
+            this.closeModal('scan');
+        }
+
+        // Files that weren't read stay in the report for another try
+        const read = new Set(result.readPaths);
+        report.orphans = report.orphans.filter(item => !read.has(item.libraryPath));
+        this.renderLibraryReport();
+        this.render();
+        this.updateStats();
+
+        if (result.failed.length > 0) {
+            this.showToast(`Added ${result.addedCount} games; ${result.failed.length} files could not be read`, 'warning');
+        } else if (result.cancelled) {
+            this.showToast(`Stopped after ${result.addedCount} games; import again to add the rest`, 'warning');
+        } else {
+            this.showToast(`Added ${result.addedCount} games from the library to the catalog` +
+                (result.linkedCount ? ` and linked ${result.linkedCount} cataloged games` : ''), 'success');
         }
     },
 
     /**
-     * Update library statistics display
+     * Forget the library location of games whose library folder is gone
      */
-    async updateLibraryStats() {
-        if (!Library.isAvailable()) {
-            this.elements.libraryGameCount.textContent = '0';
-            this.elements.librarySize.textContent = '0 B';
-            return;
-        }
+    async clearStaleLibraryPaths() {
+        const report = this.state.libraryReport;
+        const ids = report.stale.map(item => item.entry.id);
 
         try {
-            const stats = await Library.getStats();
-            this.elements.libraryGameCount.textContent = stats.gameCount;
-            this.elements.librarySize.textContent = Library.formatSize(stats.totalSize);
+            const count = await Catalog.updateEntries(ids, { libraryPath: null, playlistPath: null });
+
+            report.stale = [];
+            this.renderLibraryReport();
+            this.render();
+            this.showToast(`Cleared the library location of ${count} games`, 'success');
         } catch (error) {
-            console.error('Error getting library stats:', error);
+            console.error('Error clearing library locations:', error);
+            this.showToast('Failed to clear library locations: ' + error.message, 'error');
         }
     },
 
     /**
-     * Organize existing catalog games into the local library
+     * Rebuild catalog entries from the library folder
+     * Files the catalog already knows are left alone, so this can also be run
+     * on a catalog that's only missing some of the library's games
      */
-    async organizeExistingGames() {
+    async importFromLibrary() {
         if (!Library.isAvailable()) {
             this.showToast('Please select a library folder first', 'warning');
             return;
         }
 
-        const entries = Catalog.getAllEntries();
-        const entriesToOrganize = entries.filter(e => !e.libraryPath);
+        this.scanAbort = new AbortController();
+        const signal = this.scanAbort.signal;
 
-        if (entriesToOrganize.length === 0) {
-            this.showToast('All games are already in the library', 'info');
-            return;
-        }
+        this.openModal('scan');
+        this.elements.scanStatusText.textContent = 'Reading library...';
+        this.elements.scanCount.textContent = '0';
+        this.elements.scanProgressFill.style.width = '0%';
 
-        if (!confirm(`This will copy ${entriesToOrganize.length} games to your library folder. Continue?`)) {
+        let result;
+        try {
+            // The manifest says how the library was laid out, even if this catalog's settings were lost
+            const manifest = await Library.readManifest();
+            let template = Library.getTemplate();
+            if (manifest && typeof manifest.structure === 'string' && !Library.validateTemplate(manifest.structure)) {
+                template = manifest.structure;
+                if (template !== Library.getTemplate()) {
+                    Catalog.updateSettings({ libraryTemplate: template });
+                }
+            }
+
+            const known = new Set(Catalog.getAllEntries()
+                .filter(entry => entry.libraryPath)
+                .flatMap(entry => this.getLibraryFiles(entry).map(item => item.libraryPath)));
+
+            const { files } = await Library.listContents();
+            const items = [...files]
+                .filter(([libraryPath]) => Scanner.isSupportedFile(libraryPath) && !known.has(libraryPath))
+                .map(([libraryPath, handle]) => ({ libraryPath, handle }));
+
+            result = await this.addLibraryGames(items, template, signal);
+        } catch (error) {
+            console.error('Error importing from library:', error);
+            this.showToast('Failed to import from library: ' + error.message, 'error');
             return;
+        } finally {
+            this.scanAbort = null;
+            this.closeModal('scan');
         }
 
-        this.openModal('scan');
-        this.elements.scanStatusText.textContent = 'Organizing games...';
-        this.elements.scanCount.textContent = '0';
-        this.elements.scanProgressFill.style.width = '0%';
+        this.render();
+        this.updateStats();
 
-        let organized = 0;
-        let failed = 0;
+        if (result.failed.length > 0) {
+            this.showLibraryImportSummary(result);
+        } else if (result.cancelled) {
+            this.showToast(`Stopped after ${result.addedCount} games; import again to add the rest`, 'warning');
+        } else {
+            this.showToast(`Imported ${result.addedCount} games from the library` +
+                (result.linkedCount ? `, linked ${result.linkedCount} cataloged games` : '') +
+                (result.skippedCount ? ` (${result.skippedCount} files already in the catalog)` : ''), 'success');
+        }
+    },
+
+    /**
+     * Add files found in the library to the catalog as games that live there
+     * Files are grouped into games by folder when the layout gives each game
+     * one, otherwise by name. Dumps already in the catalog are skipped, or
+     * linked to the library when their game has no library path yet
+     * @param {Array<Object>} items - { libraryPath, handle } per file
+     * @param {string} template - Layout template the library was written with
+     * @param {AbortSignal} signal - Stops reading further files; games read so far are still added
+     * @returns {Promise<Object>} { addedCount, linkedCount, skippedCount, failed, cancelled, readPaths }
+     */
+    async addLibraryGames(items, template, signal = null) {
+        const result = { addedCount: 0, linkedCount: 0, skippedCount: 0, failed: [], cancelled: false, readPaths: [] };
+        const folders = new Map();
+        const links = new Map();
+
+        for (let i = 0; i < items.length; i++) {
+            if (signal && signal.aborted) {
+                result.cancelled = true;
+                break;
+            }
 
-        for (let i = 0; i < entriesToOrganize.length; i++) {
-            const entry = entriesToOrganize[i];
+            const item = items[i];
+            this.elements.scanStatusText.textContent = `Reading ${item.libraryPath} (${i + 1}/${items.length})...`;
+            this.elements.scanProgressFill.style.width = `${((i + 1) / items.length) * 100}%`;
 
             try {
-                this.elements.scanStatusText.textContent = `Organizing: ${entry.gameName}`;
+                const file = await item.handle.getFile();
+                const fileInfo = {
+                    name: file.name,
+                    path: item.libraryPath,
+                    handle: item.handle,
+                    extension: file.name.slice(Scanner.stripExtension(file.name).length).toLowerCase(),
+                    size: file.size,
+                    lastModified: file.lastModified,
+                    sourceType: 'library',
+                    rootId: Roots.LIBRARY_ID
+                };
+                await Scanner.readAndAnalyze(fileInfo, signal);
+                result.readPaths.push(item.libraryPath);
+
+                const known = fileInfo.hashes ? Catalog.getEntryByHash(fileInfo.hashes.sha1) : null;
+                if (known && known.libraryPath) {
+                    result.skippedCount++;
+                    continue;
+                }
+                if (known) {
+                    // A game copied before its library path was recorded, or whose record was lost
+                    if (!links.has(known.id)) {
+                        links.set(known.id, new Map());
+                    }
+                    links.get(known.id).set(fileInfo.hashes.sha1, fileInfo);
+                    continue;
+                }
+
+                const folder = Library.getGameFolderPath(item.libraryPath);
+                if (!folders.has(folder)) {
+                    folders.set(folder, []);
+                }
+                folders.get(folder).push(fileInfo);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    result.cancelled = true;
+                    break;
+                }
+                console.error(`Failed to read ${item.libraryPath}:`, error);
+                result.failed.push({ name: item.libraryPath, error: error.message });
+            }
+        }
 
-                // Note: For direct files, we'd need to read them from the original location
-                // This is a limitation of the File System Access API - we can't read files
-                // without user re-granting permission. For now, we'll only organize
-                // files that have fileData (from ZIP extraction)
+        const folderPerGame = Library.hasGameFolders(template);
 
-                // Update progress
-                organized++;
-                this.elements.scanCount.textContent = organized;
-                const progress = ((i + 1) / entriesToOrganize.length) * 100;
-                this.elements.scanProgressFill.style.width = `${progress}%`;
+        for (const [folder, files] of folders) {
+            const groups = Scanner.groupVariants(files);
+            const games = folderPerGame
+                ? [{ ...groups[0], variants: groups.flatMap(group => group.variants) }]
+                : groups;
+            const sidecar = folderPerGame ? await Library.readSidecar(folder) : null;
 
-            } catch (error) {
-                console.error(`Failed to organize ${entry.gameName}:`, error);
-                failed++;
+            for (const game of games) {
+                Catalog.addEntry(game, await this.getLibraryGameMetadata(game, template, sidecar), true);
+                result.addedCount++;
             }
+            this.elements.scanCount.textContent = result.addedCount;
         }
 
-        this.closeModal('scan');
-        await this.updateLibraryStats();
+        await Catalog.commitChanges();
+        result.linkedCount = await this.linkLibraryFiles(links);
+        return result;
+    },
 
-        if (failed > 0) {
-            this.showToast(`Organized ${organized} games (${failed} failed)`, 'warning');
-        } else {
-            this.showToast(`Organized ${organized} games to library`, 'success');
+    /**
+     * Record where cataloged games were found in the library
+     * Variants whose scan root is no longer known are switched over to read
+     * from the library instead
+     * @param {Map<string, Map<string, Object>>} links - Entry ID -> SHA1 -> library file information
+     * @returns {Promise<number>} Number of games linked
+     */
+    async linkLibraryFiles(links) {
+        if (links.size === 0) return 0;
+
+        return Catalog.updateEntries([...links.keys()], entry => {
+            const files = links.get(entry.id);
+            const variants = Catalog.getVariants(entry).map(variant => {
+                const fileInfo = variant.hashes && files.get(variant.hashes.sha1);
+                if (!fileInfo || Roots.getRoot(variant.rootId)) return variant;
+                return {
+                    ...variant,
+                    originalPath: fileInfo.path,
+                    sourceType: 'library',
+                    sourceZipPath: null,
+                    zipEntryPath: null,
+                    rootId: Roots.LIBRARY_ID,
+                    missing: false
+                };
+            });
+            const preferred = variants.find(v => v.id === entry.preferredVariantId) || variants[0];
+            const libraryFile = (preferred.hashes && files.get(preferred.hashes.sha1)) || files.values().next().value;
+
+            return {
+                ...(entry.variants ? { variants } : {}),
+                ...Catalog.getVariantFields(preferred),
+                libraryPath: libraryFile.path
+            };
+        });
+    },
+
+    /**
+     * Work out a library game's metadata
+     * A sidecar wins over what the folder names say, which wins over a lookup
+     * and the file name
+     * @param {Object} game - File group from Scanner.groupVariants()
+     * @param {string} template - Layout template the library was written with
+     * @param {Object|null} sidecar - The game folder's sidecar
+     * @returns {Promise<Object>} Metadata for Catalog.addEntry()
+     */
+    async getLibraryGameMetadata(game, template, sidecar) {
+        const values = Library.parsePath(template, game.path) || {};
+        const nameInfo = Tosec.parse(game.name);
+        const sidecarName = sidecar && typeof sidecar.gameName === 'string' ? sidecar.gameName.trim() : '';
+        const gameName = sidecarName || values.title || Scanner.extractGameName(game.name);
+        const lookup = await Metadata.lookup(gameName);
+
+        const metadata = {
+            gameName,
+            year: values.year || lookup.year || nameInfo.year || '',
+            publisher: values.publisher || lookup.publisher || nameInfo.publisher || '',
+            developer: values.developer || '',
+            genre: values.genre || '',
+            boxArtUrl: lookup.boxArtUrl,
+            libraryPath: game.path
+        };
+
+        if (sidecar) {
+            // Sidecar fields that don't validate are left to the other sources
+            const { values: checked, errors } = Metadata.validateFields({ ...metadata, ...sidecar });
+            for (const field of Metadata.EDITABLE_FIELDS) {
+                if (!errors[field] && checked[field]) {
+                    metadata[field] = checked[field];
+                }
+            }
+            if (Array.isArray(sidecar.tags)) {
+                metadata.tags = sidecar.tags.filter(tag => typeof tag === 'string');
+            }
+            if (typeof sidecar.notes === 'string') {
+                metadata.notes = sidecar.notes;
+            }
+        }
+
+        return metadata;
+    },
+
+    /**
+     * Show what an import from the library did, with the files that couldn't be read
+     * @param {Object} result - From addLibraryGames()
+     */
+    showLibraryImportSummary(result) {
+        this.elements.libraryCopyTitle.textContent = 'Library Import Finished';
+        this.elements.libraryCopyCounts.innerHTML = `
+            <span><strong>${result.addedCount}</strong> games imported</span>
+            <span><strong>${result.linkedCount}</strong> games linked</span>
+            <span><strong>${result.skippedCount}</strong> already in catalog</span>
+            <span><strong>${result.failed.length}</strong> failed</span>
+        `;
+
+        this.renderReportSections(this.elements.libraryCopySections, [
+            { title: 'Unreadable files (import again to retry)', items: result.failed.map(item => `${item.name}: ${item.error}`) }
+        ]);
+
+        this.openModal('library-copy');
+    },
+
+    /**
+     * Record the library's layout in its manifest file
+     * A failure is only logged; the manifest isn't needed to use the library
+     */
+    async writeLibraryManifest() {
+        if (!Library.isAvailable()) return;
+
+        try {
+            await Library.writeManifest();
+        } catch (error) {
+            console.warn('Could not write the library manifest:', error);
         }
     },
 
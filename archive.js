@@ -0,0 +1,205 @@
+/**
+ * C64 Cataloger - Archive Module
+ * Unpacks gzip-compressed images and the C64's own Lynx and ARK archives
+ */
+
+const Archive = {
+    // Archive kinds by extension; the kind is recorded as the files' sourceType
+    KINDS: {
+        '.zip': 'zip',
+        '.gz': 'gzip',
+        '.lnx': 'lynx',
+        '.ark': 'ark'
+    },
+
+    // Archived C64 files are stored in disk blocks of 254 data bytes
+    BLOCK_SIZE: 254,
+
+    // Lynx file type letters
+    LYNX_TYPES: { P: 'PRG', S: 'SEQ', U: 'USR', R: 'REL' },
+
+    // ARK directory: a count byte followed by fixed-size entries
+    ARK_ENTRY_SIZE: 29,
+
+    /**
+     * Get the archive kind of a filename
+     * @param {string} filename - Filename or path
+     * @returns {string|null} 'zip', 'gzip', 'lynx', 'ark' or null
+     */
+    getKind(filename) {
+        const lastDot = filename.lastIndexOf('.');
+        if (lastDot === -1) return null;
+        return this.KINDS[filename.slice(lastDot).toLowerCase()] || null;
+    },
+
+    /**
+     * Check whether gzip files can be decompressed in this browser
+     * @returns {boolean}
+     */
+    isGzipSupported() {
+        return typeof DecompressionStream !== 'undefined';
+    },
+
+    /**
+     * Decompress gzip data
+     * @param {ArrayBuffer} buffer - Compressed data
+     * @returns {Promise<ArrayBuffer>} Decompressed data
+     */
+    async gunzip(buffer) {
+        const data = new Uint8Array(buffer);
+        if (data.length < 2 || data[0] !== 0x1F || data[1] !== 0x8B) {
+            throw new Error('Not a gzip file');
+        }
+
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    },
+
+    /**
+     * Get the name of the file inside a .gz ("Game.d64.gz" -> "Game.d64")
+     * @param {string} filename - Name of the .gz file
+     * @returns {string}
+     */
+    getGzipInnerName(filename) {
+        return filename.replace(/\.gz$/i, '');
+    },
+
+    /**
+     * Parse a Lynx archive
+     * After an optional BASIC stub, a CR-separated PETSCII directory lists each
+     * file's name, block count, type and last-block usage; data starts after the
+     * number of blocks given on the signature line
+     * @param {ArrayBuffer} buffer - The archive data
+     * @returns {Object|null} { format, files: [{ name, type, data }] } or null if invalid
+     */
+    parseLynx(buffer) {
+        const data = new Uint8Array(buffer);
+
+        // The signature line reads e.g. " 1  *LYNX XV  BY WILL CORLEY"
+        const head = String.fromCharCode(...data.subarray(0, Math.min(data.length, 0x400)));
+        const signatureIndex = head.toUpperCase().indexOf('LYNX');
+        if (signatureIndex === -1) return null;
+
+        let pos = signatureIndex;
+        while (pos > 0 && data[pos - 1] !== 0x0D && data[pos - 1] !== 0x00) {
+            pos--;
+        }
+
+        const readField = () => {
+            const end = data.indexOf(0x0D, pos);
+            if (end === -1) throw new Error('Truncated Lynx directory');
+            const field = data.subarray(pos, end);
+            pos = end + 1;
+            return field;
+        };
+        const readNumber = () => parseInt(String.fromCharCode(...readField()), 10);
+
+        try {
+            const directoryBlocks = readNumber();
+            const count = readNumber();
+            if (!(directoryBlocks > 0) || !(count > 0)) return null;
+
+            const files = [];
+            let offset = directoryBlocks * this.BLOCK_SIZE;
+
+            for (let i = 0; i < count && offset < data.length; i++) {
+                const name = DiskImage.petsciiToString(readField());
+                const blocks = readNumber();
+                const typeLetter = String.fromCharCode(...readField()).trim().toUpperCase();
+                const lastBlockUsage = readNumber();
+                if (typeLetter === 'R') {
+                    readNumber(); // record length
+                }
+                if (!(blocks > 0)) return null;
+
+                // The last file is often stored without padding, so clamp to the data
+                const size = (blocks - 1) * this.BLOCK_SIZE + Math.max(lastBlockUsage - 1, 0);
+                files.push({
+                    name,
+                    type: this.LYNX_TYPES[typeLetter] || '???',
+                    data: data.slice(offset, Math.min(offset + size, data.length))
+                });
+                offset += blocks * this.BLOCK_SIZE;
+            }
+
+            return { format: 'lynx', files };
+        } catch (error) {
+            console.warn('Error parsing Lynx archive:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Parse an ARK archive (ARKive)
+     * The directory is a file count followed by 29-byte entries, padded to whole
+     * blocks; file data follows in directory order
+     * @param {ArrayBuffer} buffer - The archive data
+     * @returns {Object|null} { format, files: [{ name, type, data }] } or null if invalid
+     */
+    parseArk(buffer) {
+        const data = new Uint8Array(buffer);
+        if (data.length < 1 + this.ARK_ENTRY_SIZE) return null;
+
+        const count = data[0];
+        const directorySize = 1 + count * this.ARK_ENTRY_SIZE;
+        if (count === 0 || directorySize > data.length) return null;
+
+        const files = [];
+        let offset = Math.ceil(directorySize / this.BLOCK_SIZE) * this.BLOCK_SIZE;
+
+        for (let i = 0; i < count; i++) {
+            const entry = data.subarray(1 + i * this.ARK_ENTRY_SIZE, 1 + (i + 1) * this.ARK_ENTRY_SIZE);
+            const typeCode = entry[0] & 0x07;
+            const sideSectors = entry[0x19];
+            const lastBlockUsage = entry[0x1A];
+            const blocks = entry[0x1B] | (entry[0x1C] << 8);
+
+            // There's no signature, so reject anything that doesn't look like a directory
+            if (typeCode < 1 || typeCode > 4 || blocks === 0 || offset >= data.length) {
+                return null;
+            }
+
+            const size = (blocks - 1) * this.BLOCK_SIZE + Math.max(lastBlockUsage - 1, 0);
+            files.push({
+                name: DiskImage.petsciiToString(entry.subarray(0x01, 0x11)),
+                type: DiskImage.FILE_TYPES[typeCode],
+                data: data.slice(offset, Math.min(offset + size, data.length))
+            });
+
+            // REL files carry their side sectors after the data
+            offset += (blocks + (typeCode === 4 ? sideSectors : 0)) * this.BLOCK_SIZE;
+        }
+
+        return { format: 'ark', files };
+    },
+
+    /**
+     * List the files inside a gzip, Lynx or ARK archive
+     * C64 program files get a .prg extension so they can be cataloged like any other
+     * @param {string} kind - Archive kind from getKind()
+     * @param {ArrayBuffer} buffer - The archive data
+     * @param {string} filename - Name of the archive
+     * @returns {Promise<Array<Object>>} [{ name, data: ArrayBuffer }]
+     */
+    async listEntries(kind, buffer, filename) {
+        switch (kind) {
+            case 'gzip':
+                return [{ name: this.getGzipInnerName(filename), data: await this.gunzip(buffer) }];
+            case 'lynx':
+            case 'ark': {
+                const archive = kind === 'lynx' ? this.parseLynx(buffer) : this.parseArk(buffer);
+                if (!archive) {
+                    throw new Error(`Not a valid ${kind === 'lynx' ? 'Lynx' : 'ARK'} archive`);
+                }
+                return archive.files
+                    .filter(file => file.type === 'PRG')
+                    .map(file => ({ name: `${file.name}.prg`, data: file.data.buffer }));
+            }
+            default:
+                throw new Error(`Unsupported archive: ${filename}`);
+        }
+    }
+};
+
+// Export for use in other modules
+window.Archive = Archive;
@@ -0,0 +1,231 @@
+/**
+ * C64 Cataloger - Cartridge Module
+ * Parses CRT cartridge image headers and CHIP packets
+ */
+
+const Cartridge = {
+    // CRT header signature (16 bytes, space padded)
+    SIGNATURE: 'C64 CARTRIDGE   ',
+    MIN_HEADER_SIZE: 0x40,
+
+    // CHIP packet layout
+    CHIP_SIGNATURE: 'CHIP',
+    CHIP_HEADER_SIZE: 0x10,
+
+    // CHIP packet types
+    CHIP_TYPES: ['ROM', 'RAM', 'Flash', 'EEPROM'],
+
+    // Hardware type IDs as assigned in the CRT specification
+    HARDWARE_TYPES: {
+        0: 'Normal cartridge',
+        1: 'Action Replay',
+        2: 'KCS Power Cartridge',
+        3: 'Final Cartridge III',
+        4: 'Simons\' BASIC',
+        5: 'Ocean type 1',
+        6: 'Expert Cartridge',
+        7: 'Fun Play, Power Play',
+        8: 'Super Games',
+        9: 'Atomic Power',
+        10: 'Epyx Fastload',
+        11: 'Westermann Learning',
+        12: 'Rex Utility',
+        13: 'Final Cartridge I',
+        14: 'Magic Formel',
+        15: 'C64 Game System, System 3',
+        16: 'Warp Speed',
+        17: 'Dinamic',
+        18: 'Zaxxon, Super Zaxxon (Sega)',
+        19: 'Magic Desk, Domark, HES Australia',
+        20: 'Super Snapshot V5',
+        21: 'Comal-80',
+        22: 'Structured BASIC',
+        23: 'Ross',
+        24: 'Dela EP64',
+        25: 'Dela EP7x8',
+        26: 'Dela EP256',
+        27: 'Rex EP256',
+        28: 'Mikro Assembler',
+        29: 'Final Cartridge Plus',
+        30: 'Action Replay 4',
+        31: 'Stardos',
+        32: 'EasyFlash',
+        33: 'EasyFlash Xbank',
+        34: 'Capture',
+        35: 'Action Replay 3',
+        36: 'Retro Replay',
+        37: 'MMC64',
+        38: 'MMC Replay',
+        39: 'IDE64',
+        40: 'Super Snapshot V4',
+        41: 'IEEE-488',
+        42: 'Game Killer',
+        43: 'Prophet64',
+        44: 'EXOS',
+        45: 'Freeze Frame',
+        46: 'Freeze Machine',
+        47: 'Snapshot64',
+        48: 'Super Explode V5.0',
+        49: 'Magic Voice',
+        50: 'Action Replay 2',
+        51: 'MACH 5',
+        52: 'Diashow-Maker',
+        53: 'Pagefox',
+        54: 'Kingsoft',
+        55: 'Silverrock 128K',
+        56: 'Formel 64',
+        57: 'RGCD'
+    },
+
+    /**
+     * Get the display name for a hardware type ID
+     * @param {number} id - Hardware type ID
+     * @returns {string} Hardware name
+     */
+    getHardwareName(id) {
+        return this.HARDWARE_TYPES[id] || `Unknown hardware (${id})`;
+    },
+
+    /**
+     * Describe the memory configuration selected by the EXROM/GAME lines
+     * Both lines are active low, so 0 means asserted
+     * @param {number} exrom - EXROM line state
+     * @param {number} game - GAME line state
+     * @returns {string} Configuration name
+     */
+    getMemoryMode(exrom, game) {
+        if (!exrom && !game) return '16K';
+        if (!exrom && game) return '8K';
+        if (exrom && !game) return 'Ultimax';
+        return 'Off';
+    },
+
+    /**
+     * Parse a CRT cartridge image
+     * Always returns an info object; problems are listed in `errors` and clear `valid`
+     * @param {ArrayBuffer} buffer - The file data
+     * @returns {Object} Cartridge info
+     */
+    parse(buffer) {
+        const data = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const info = {
+            valid: false,
+            errors: [],
+            version: null,
+            hardwareType: null,
+            hardwareName: null,
+            exrom: null,
+            game: null,
+            mode: null,
+            name: '',
+            chips: []
+        };
+
+        if (data.length < this.MIN_HEADER_SIZE) {
+            info.errors.push('File is too short for a CRT header');
+            return info;
+        }
+
+        const signature = String.fromCharCode(...data.subarray(0, 16));
+        if (signature !== this.SIGNATURE) {
+            info.errors.push('Bad CRT signature');
+            return info;
+        }
+
+        // Header fields are big-endian
+        const headerLength = view.getUint32(0x10, false);
+        info.version = `${data[0x14]}.${data[0x15]}`;
+        info.hardwareType = view.getUint16(0x16, false);
+        info.hardwareName = this.getHardwareName(info.hardwareType);
+        info.exrom = data[0x18];
+        info.game = data[0x19];
+        info.mode = this.getMemoryMode(info.exrom, info.game);
+        info.name = this._readName(data.subarray(0x20, 0x40));
+
+        // Some tools write a header length of $20; the packets still start at $40
+        let offset = Math.max(headerLength, this.MIN_HEADER_SIZE);
+
+        while (offset < data.length) {
+            if (offset + this.CHIP_HEADER_SIZE > data.length) {
+                info.errors.push(`Truncated CHIP header at offset ${offset}`);
+                break;
+            }
+
+            const chipSignature = String.fromCharCode(...data.subarray(offset, offset + 4));
+            if (chipSignature !== this.CHIP_SIGNATURE) {
+                info.errors.push(`Missing CHIP signature at offset ${offset}`);
+                break;
+            }
+
+            const packetLength = view.getUint32(offset + 4, false);
+            const chipType = view.getUint16(offset + 8, false);
+            const chip = {
+                type: chipType,
+                typeName: this.CHIP_TYPES[chipType] || 'Unknown',
+                bank: view.getUint16(offset + 10, false),
+                loadAddress: view.getUint16(offset + 12, false),
+                size: view.getUint16(offset + 14, false)
+            };
+
+            if (packetLength < this.CHIP_HEADER_SIZE ||
+                offset + this.CHIP_HEADER_SIZE + chip.size > data.length) {
+                info.errors.push(`Truncated CHIP packet for bank ${chip.bank}`);
+                break;
+            }
+
+            info.chips.push(chip);
+            offset += packetLength;
+        }
+
+        if (info.chips.length === 0 && info.errors.length === 0) {
+            info.errors.push('No CHIP packets found');
+        }
+
+        info.valid = info.errors.length === 0;
+        return info;
+    },
+
+    /**
+     * Read the zero-padded cartridge name
+     * @private
+     */
+    _readName(bytes) {
+        const end = bytes.indexOf(0);
+        const nameBytes = end === -1 ? bytes : bytes.subarray(0, end);
+        return String.fromCharCode(...nameBytes).trim();
+    },
+
+    /**
+     * Format parsed cartridge info for display
+     * @param {Object} info - Cartridge info from parse()
+     * @returns {string} Multi-line description
+     */
+    formatInfo(info) {
+        const lines = [];
+
+        if (info.name) {
+            lines.push(`Name:     ${info.name}`);
+        }
+        if (info.hardwareName !== null) {
+            lines.push(`Hardware: ${info.hardwareName} (type ${info.hardwareType})`);
+            lines.push(`Mode:     ${info.mode} (EXROM ${info.exrom}, GAME ${info.game})`);
+            lines.push(`Version:  ${info.version}`);
+        }
+
+        lines.push(`Chips:    ${info.chips.length}`);
+        for (const chip of info.chips) {
+            const address = ProgramFile.formatAddress(chip.loadAddress);
+            lines.push(`  Bank ${String(chip.bank).padEnd(3)} ${chip.typeName.padEnd(6)} ${address} ${chip.size / 1024}K`);
+        }
+
+        for (const error of info.errors) {
+            lines.push(`! ${error}`);
+        }
+
+        return lines.join('\n');
+    }
+};
+
+// Export for use in other modules
+window.Cartridge = Cartridge;
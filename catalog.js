@@ -13,57 +13,220 @@ const Catalog = {
             autoFetchArt: true,
             cacheArtLocally: true,
             localLibraryEnabled: false,
-            localLibraryName: ''
+            localLibraryName: '',
+            // Layout the library is being moved away from, until a re-layout has moved every game
+            libraryPreviousTemplate: null,
+            // Launch profiles edited in Settings (null = Launcher.DEFAULT_PROFILES)
+            // and the default profile ID per media type
+            launchProfiles: null,
+            launchDefaults: {},
+            // Launch helper (helper/launch-helper.js) tried before copying commands; '' = never
+            launchHelperUrl: 'http://127.0.0.1:8764',
+            // How ZIPs are handled during scans (see Scanner.getZipDecision)
+            zipPolicy: { mode: 'ask', patterns: '', maxSizeMB: null }
         },
         entries: []
     },
 
-    // LocalStorage key
+    // LocalStorage key used before the catalog moved to IndexedDB (migrated once)
     STORAGE_KEY: 'c64-cataloger-data',
 
+    // Key of the catalog record (version, settings) in the meta store
+    META_KEY: 'catalog',
+
+    // Entries changed or removed since the last save
+    _dirtyIds: new Set(),
+    _removedIds: new Set(),
+
+    // In-memory mirror of the database's hash index: SHA-1 -> Set of IDs of the entries with that dump
+    _hashIndex: new Map(),
+
+    // Chain of pending library sidecar writes (see _syncSidecar)
+    _sidecarWrites: Promise.resolve(),
+
     /**
-     * Initialize the catalog (load from storage)
+     * Initialize the catalog (open the database and load it)
+     * @returns {Promise<void>}
      */
-    init() {
-        this.load();
+    async init() {
+        await Database.open();
+        await this.load();
     },
 
     /**
-     * Load catalog from localStorage
+     * Load catalog from IndexedDB, migrating the old localStorage catalog first
+     * @returns {Promise<void>}
      */
-    load() {
+    async load() {
         try {
-            const stored = localStorage.getItem(this.STORAGE_KEY);
-            if (stored) {
-                const parsed = JSON.parse(stored);
-                // Merge with defaults to handle version upgrades
-                this.data = {
-                    ...this.data,
-                    ...parsed,
-                    settings: {
-                        ...this.data.settings,
-                        ...parsed.settings
-                    }
-                };
+            const meta = await Database.get('meta', this.META_KEY);
+            if (!meta) {
+                await this._migrateFromLocalStorage();
+                return;
             }
+
+            const records = await Database.getAll('entries');
+            this.data = {
+                ...this.data,
+                version: meta.version,
+                lastUpdated: meta.lastUpdated,
+                // Merge with defaults to handle version upgrades
+                settings: {
+                    ...this.data.settings,
+                    ...meta.settings
+                },
+                entries: records.map(record => this._fromRecord(record))
+            };
+            this._rebuildHashIndex();
         } catch (error) {
             console.error('Error loading catalog:', error);
         }
     },
 
     /**
-     * Save catalog to localStorage
+     * Move a catalog saved by older versions from localStorage into IndexedDB
+     * The old key is only removed once the database write has committed
+     * @private
+     */
+    async _migrateFromLocalStorage() {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            this.data = {
+                ...this.data,
+                ...parsed,
+                settings: {
+                    ...this.data.settings,
+                    ...parsed.settings
+                }
+            };
+            for (const entry of this.data.entries) {
+                this._dirtyIds.add(entry.id);
+            }
+            this._rebuildHashIndex();
+        }
+
+        await this.save();
+
+        if (stored) {
+            localStorage.removeItem(this.STORAGE_KEY);
+        }
+    },
+
+    /**
+     * Save pending entry changes and the catalog settings to IndexedDB
+     * Only entries marked dirty since the last save are written; if the write
+     * fails they stay marked, so the next save tries them again
+     * @returns {Promise<void>}
+     * @throws {Error} If the write fails
      */
     save() {
-        try {
-            this.data.lastUpdated = new Date().toISOString();
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
-        } catch (error) {
+        this.data.lastUpdated = new Date().toISOString();
+
+        const dirty = [...this._dirtyIds];
+        const put = [];
+        for (const id of dirty) {
+            const entry = this.getEntry(id);
+            if (entry) put.push(this._toRecord(entry));
+        }
+        const removed = [...this._removedIds];
+        this._dirtyIds.clear();
+        this._removedIds.clear();
+
+        return Database.write({
+            entries: { put, delete: removed },
+            meta: {
+                put: [{
+                    key: this.META_KEY,
+                    version: this.data.version,
+                    lastUpdated: this.data.lastUpdated,
+                    settings: this.data.settings
+                }]
+            }
+        }).catch(error => {
+            // Changes made since are newer; everything else is still pending
+            for (const id of dirty) {
+                if (!this._removedIds.has(id)) this._dirtyIds.add(id);
+            }
+            for (const id of removed) {
+                if (!this._dirtyIds.has(id)) this._removedIds.add(id);
+            }
+
             console.error('Error saving catalog:', error);
             throw new Error('Failed to save catalog');
+        });
+    },
+
+    /**
+     * Save without waiting, for changes made synchronously
+     * save() logs a failure and keeps the changes pending for the next save
+     * @private
+     */
+    _saveInBackground() {
+        this.save().catch(() => {});
+    },
+
+    /**
+     * Mark an entry as changed so the next save writes it
+     * @param {string} id - Entry ID
+     */
+    markDirty(id) {
+        this._removedIds.delete(id);
+        this._dirtyIds.add(id);
+    },
+
+    /**
+     * Add an entry's dumps to the in-memory hash index
+     * Called wherever variants are added or their content changes
+     * @private
+     */
+    _indexHashes(entry) {
+        for (const variant of this.getVariants(entry)) {
+            if (variant.hashes && variant.hashes.sha1) {
+                if (!this._hashIndex.has(variant.hashes.sha1)) {
+                    this._hashIndex.set(variant.hashes.sha1, new Set());
+                }
+                this._hashIndex.get(variant.hashes.sha1).add(entry.id);
+            }
+        }
+    },
+
+    /**
+     * Index every entry's dumps from scratch
+     * @private
+     */
+    _rebuildHashIndex() {
+        this._hashIndex.clear();
+        for (const entry of this.data.entries) {
+            this._indexHashes(entry);
         }
     },
 
+    /**
+     * Convert an entry to its stored form, adding the derived index keys
+     * @private
+     */
+    _toRecord(entry) {
+        const sha1s = this.getVariants(entry)
+            .map(v => v.hashes && v.hashes.sha1)
+            .filter(Boolean);
+
+        return {
+            ...entry,
+            gameNameKey: (entry.gameName || '').toLowerCase(),
+            sha1s: [...new Set(sha1s)]
+        };
+    },
+
+    /**
+     * Strip the derived index keys from a stored entry
+     * @private
+     */
+    _fromRecord(record) {
+        const { gameNameKey, sha1s, ...entry } = record;
+        return entry;
+    },
+
     /**
      * Generate a unique ID
      * @returns {string}
@@ -76,52 +239,320 @@ const Catalog = {
         });
     },
 
+    // Entry fields that describe a single file and so belong to a variant
+    VARIANT_FIELDS: [
+        'filename', 'originalPath', 'fileType', 'extension', 'fileSize', 'lastModified', 'hashes',
+        'diskDirectory', 'programInfo', 'cartridgeInfo', 'tapeInfo',
+        'corrupt', 'corruptReason', 'sourceType', 'sourceZipPath', 'zipEntryPath', 'rootId', 'nameInfo',
+        'verification', 'missing'
+    ],
+
     /**
-     * Add a new entry to the catalog
+     * Create a file variant from scanner file information
      * @param {Object} fileInfo - File information from scanner
-     * @param {Object} metadata - Metadata from lookup
-     * @param {boolean} deferSave - If true, don't save immediately (for batch operations)
-     * @returns {Object} The created entry
+     * @returns {Object} The variant
      */
-    addEntry(fileInfo, metadata = {}, deferSave = false) {
-        const entry = {
+    createVariant(fileInfo) {
+        return {
             id: this.generateId(),
             filename: fileInfo.name,
             originalPath: fileInfo.path,
             fileType: Scanner.getFileType(fileInfo.extension),
             extension: fileInfo.extension,
             fileSize: fileInfo.size,
+            // Modification time when scanned, used by rescans to spot changed files
+            lastModified: fileInfo.lastModified || null,
+            // Content hashes ({ crc32, md5, sha1 }) used as the duplicate key
+            hashes: fileInfo.hashes || null,
+            // Parsed disk directory (disk images and T64 containers)
+            diskDirectory: fileInfo.diskDirectory || null,
+            // Load address and internal name (PRG/P00 only)
+            programInfo: fileInfo.programInfo || null,
+            // CRT header and CHIP packets (cartridges only)
+            cartridgeInfo: fileInfo.cartridgeInfo || null,
+            // TAP header, play time and detected loader (tapes only)
+            tapeInfo: fileInfo.tapeInfo || null,
+            // Set when the file failed format validation
+            corrupt: fileInfo.corrupt || false,
+            corruptReason: fileInfo.corruptReason || null,
+            // Source tracking
+            sourceType: fileInfo.sourceType || 'direct', // 'direct', 'zip', 'gzip', 'lynx', 'ark', 'library'
+            sourceZipPath: fileInfo.sourceZipPath || null,
+            // Path inside the archive at sourceZipPath, for reading the file back out
+            zipEntryPath: fileInfo.zipEntryPath || null,
+            // Scan root (see Roots) that originalPath is relative to
+            rootId: fileInfo.rootId || null,
+            // Fields parsed from a TOSEC/GoodC64 filename
+            nameInfo: Tosec.parse(fileInfo.name),
+            // Result of the last DAT check ({ status, canonicalName, datGame, datName, checkedAt })
+            verification: null,
+            // Set when a rescan no longer finds the file
+            missing: false,
+            // Dump tags parsed from the filename ([cr XYZ], [t+5], NTSC, [a2]...)
+            variantTags: Scanner.parseVariantTags(fileInfo.name)
+        };
+    },
+
+    /**
+     * Copy the per-file fields of a variant
+     * @param {Object} variant - The variant
+     * @returns {Object} File fields for the owning entry
+     */
+    getVariantFields(variant) {
+        const fields = {};
+        for (const field of this.VARIANT_FIELDS) {
+            fields[field] = variant[field];
+        }
+        return fields;
+    },
+
+    /**
+     * Get the variants of an entry
+     * Entries created before variants existed are treated as a single variant
+     * @param {Object} entry - Catalog entry
+     * @returns {Array<Object>}
+     */
+    getVariants(entry) {
+        if (entry.variants && entry.variants.length > 0) {
+            return entry.variants;
+        }
+        return [{
+            id: entry.id,
+            ...this.getVariantFields(entry),
+            variantTags: Scanner.parseVariantTags(entry.filename)
+        }];
+    },
+
+    /**
+     * Get an entry's preferred variant
+     * @param {Object} entry - Catalog entry
+     * @returns {Object}
+     */
+    getPreferredVariant(entry) {
+        const variants = this.getVariants(entry);
+        return variants.find(v => v.id === entry.preferredVariantId) || variants[0];
+    },
+
+    /**
+     * Get the disks of the multi-disk set a variant belongs to
+     * Disks of a set share the variant's dump tags and extension, so a cracked
+     * set isn't mixed with the original's disks
+     * @param {Object} entry - Catalog entry
+     * @param {Object} variant - Any disk of the set
+     * @returns {Array<Object>} The set's variants in disk order ([variant] if it's a single disk)
+     */
+    getDiskSet(entry, variant) {
+        if (!Scanner.getDiskInfo(variant.filename)) {
+            return [variant];
+        }
+
+        const setKey = (v) => `${(v.variantTags || []).join(',')}|${v.extension}`;
+        const key = setKey(variant);
+        const disks = this.getVariants(entry)
+            .filter(v => !v.missing && setKey(v) === key && Scanner.getDiskInfo(v.filename))
+            .sort((a, b) =>
+                Scanner.getDiskOrder(Scanner.getDiskInfo(a.filename)) -
+                Scanner.getDiskOrder(Scanner.getDiskInfo(b.filename)));
+
+        return disks.length > 1 ? disks : [variant];
+    },
+
+    /**
+     * Add a new entry to the catalog
+     * The entry's file fields mirror its preferred variant (the first one initially)
+     * @param {Object} fileInfo - File information from scanner (may carry `variants`)
+     * @param {Object} metadata - Metadata from lookup
+     * @param {boolean} deferSave - If true, don't save immediately (for batch operations)
+     * @returns {Object} The created entry
+     */
+    addEntry(fileInfo, metadata = {}, deferSave = false) {
+        const variants = (fileInfo.variants || [fileInfo]).map(f => this.createVariant(f));
+        const preferred = variants[0];
+
+        const entry = {
+            id: this.generateId(),
+            ...this.getVariantFields(preferred),
             gameName: metadata.gameName || Scanner.extractGameName(fileInfo.name),
             year: metadata.year || '',
             publisher: metadata.publisher || '',
+            developer: metadata.developer || '',
+            genre: metadata.genre || '',
+            players: metadata.players || '',
+            controlType: metadata.controlType || '',
+            description: metadata.description || '',
             boxArtUrl: metadata.boxArtUrl || null,
             boxArtLocal: null,
-            notes: '',
-            tags: [],
-            // Source tracking
-            sourceType: fileInfo.sourceType || 'direct', // 'direct', 'zip', 'library'
-            sourceZipPath: fileInfo.sourceZipPath || null,
+            notes: metadata.notes || '',
+            tags: metadata.tags || [],
+            // Launch profile overriding the media type's default (see Launcher)
+            launchProfileId: null,
+            // All known dumps of this game and the one used by default
+            variants,
+            preferredVariantId: preferred.id,
             // Library location (if copied to local library)
             libraryPath: metadata.libraryPath || null,
+            // Fliplist saved next to the game in the library (see Launcher.buildFliplist)
+            playlistPath: null,
             dateAdded: new Date().toISOString(),
             dateModified: new Date().toISOString()
         };
 
         this.data.entries.push(entry);
+        this.markDirty(entry.id);
+        this._indexHashes(entry);
 
         if (!deferSave) {
-            this.save();
+            this._saveInBackground();
+        }
+
+        return entry;
+    },
+
+    /**
+     * Add more file variants to an existing entry
+     * @param {string} id - Entry ID
+     * @param {Array<Object>} files - File information from scanner
+     * @param {boolean} deferSave - If true, don't save immediately
+     * @returns {Object|null} Updated entry or null if not found
+     */
+    addVariants(id, files, deferSave = false) {
+        const entry = this.getEntry(id);
+        if (!entry) return null;
+
+        entry.variants = [
+            ...this.getVariants(entry),
+            ...files.map(f => this.createVariant(f))
+        ];
+        if (!entry.preferredVariantId) {
+            entry.preferredVariantId = entry.variants[0].id;
         }
+        entry.dateModified = new Date().toISOString();
+        this.markDirty(entry.id);
+        this._indexHashes(entry);
 
+        if (!deferSave) {
+            this._saveInBackground();
+        }
         return entry;
     },
 
     /**
-     * Commit any pending changes to localStorage
+     * Choose which variant an entry uses by default
+     * @param {string} id - Entry ID
+     * @param {string} variantId - Variant ID
+     * @returns {Object|null} Updated entry or null if not found
+     */
+    setPreferredVariant(id, variantId) {
+        const entry = this.getEntry(id);
+        if (!entry) return null;
+
+        const variant = this.getVariants(entry).find(v => v.id === variantId);
+        if (!variant) return null;
+
+        return this.updateEntry(id, {
+            ...this.getVariantFields(variant),
+            variants: this.getVariants(entry),
+            preferredVariantId: variant.id
+        });
+    },
+
+    /**
+     * Copy the preferred variant's file fields onto its entry
+     * Falls back to the first variant when the preferred one is gone
+     * @private
+     */
+    _syncPreferredVariant(entry) {
+        const preferred = entry.variants.find(v => v.id === entry.preferredVariantId) || entry.variants[0];
+        Object.assign(entry, this.getVariantFields(preferred), {
+            preferredVariantId: preferred.id
+        });
+    },
+
+    /**
+     * Get every variant scanned from a root, with the entry that owns it
+     * @param {string} rootId - Root ID (see Roots)
+     * @returns {Array<Object>} [{ entry, variant }]
+     */
+    getVariantsByRoot(rootId) {
+        const results = [];
+        for (const entry of this.data.entries) {
+            for (const variant of this.getVariants(entry)) {
+                if (variant.rootId === rootId) {
+                    results.push({ entry, variant });
+                }
+            }
+        }
+        return results;
+    },
+
+    /**
+     * Apply the result of a rescan to existing entries
+     * Updated variants keep their ID, so entries are changed in place; an update
+     * without fileInfo only clears the missing flag
+     * @param {Array<Object>} updates - [{ entryId, variantId, fileInfo }]
+     * @param {Array<Object>} missing - [{ entryId, variantId }] of files no longer found
+     * @returns {Promise<void>}
+     */
+    async applyRescan(updates, missing) {
+        const changeVariant = (entryId, variantId, change) => {
+            const entry = this.getEntry(entryId);
+            if (!entry) return;
+
+            entry.variants = this.getVariants(entry).map(v => v.id === variantId ? change(v) : v);
+            this._syncPreferredVariant(entry);
+            entry.dateModified = new Date().toISOString();
+            this.markDirty(entryId);
+            this._indexHashes(entry);
+        };
+
+        for (const { entryId, variantId, fileInfo } of updates) {
+            changeVariant(entryId, variantId, variant => {
+                if (!fileInfo) {
+                    return { ...variant, missing: false };
+                }
+                const sameContent = variant.hashes && fileInfo.hashes &&
+                    variant.hashes.sha1 === fileInfo.hashes.sha1;
+                return {
+                    ...this.createVariant(fileInfo),
+                    id: variant.id,
+                    // A DAT check still holds if only the timestamp or path changed
+                    verification: sameContent ? variant.verification : null
+                };
+            });
+        }
+
+        for (const { entryId, variantId } of missing) {
+            changeVariant(entryId, variantId, variant => ({ ...variant, missing: true }));
+        }
+
+        await this.save();
+    },
+
+    /**
+     * Build a lookup of normalized game names to the entries that own them
+     * Used to attach newly scanned variants to existing games
+     * @returns {Map<string, Object>} Normalized name -> entry
+     */
+    getNormalizedNameIndex() {
+        const index = new Map();
+        for (const entry of this.data.entries) {
+            for (const variant of this.getVariants(entry)) {
+                const name = Scanner.normalizeFilename(variant.filename);
+                if (!index.has(name)) {
+                    index.set(name, entry);
+                }
+            }
+        }
+        return index;
+    },
+
+    /**
+     * Commit any pending changes to IndexedDB
      * Call this after batch operations with deferSave=true
+     * @returns {Promise<void>}
      */
     commitChanges() {
-        this.save();
+        return this.save();
     },
 
     /**
@@ -140,10 +571,75 @@ const Catalog = {
             dateModified: new Date().toISOString()
         };
 
-        this.save();
+        this.markDirty(id);
+        this._saveInBackground();
+        this._syncSidecar(this.data.entries[index]);
         return this.data.entries[index];
     },
 
+    /**
+     * Update several entries in one database write
+     * @param {Array<string>} ids - Entry IDs
+     * @param {Object|Function} updates - Fields to update, or a function of the
+     *   entry returning them (null to leave it unchanged)
+     * @returns {Promise<number>} Number of entries changed
+     */
+    async updateEntries(ids, updates) {
+        const now = new Date().toISOString();
+        let changed = 0;
+
+        for (const id of ids) {
+            const index = this.data.entries.findIndex(e => e.id === id);
+            if (index === -1) continue;
+
+            const entry = this.data.entries[index];
+            const entryUpdates = typeof updates === 'function' ? updates(entry) : updates;
+            if (!entryUpdates) continue;
+
+            this.data.entries[index] = { ...entry, ...entryUpdates, dateModified: now };
+            this.markDirty(id);
+            this._syncSidecar(this.data.entries[index]);
+            changed++;
+        }
+
+        if (changed > 0) {
+            await this.save();
+        }
+        return changed;
+    },
+
+    /**
+     * Rewrite the library sidecar of an entry that's in the library
+     * Writes run one at a time in the background; a failure only leaves the sidecar out of date
+     * @private
+     */
+    _syncSidecar(entry) {
+        if (!entry.libraryPath || !Library.isAvailable()) return;
+
+        this._sidecarWrites = this._sidecarWrites
+            .then(() => Library.writeSidecar(entry))
+            .catch(error => console.warn(`Could not update the library sidecar of ${entry.gameName}:`, error));
+    },
+
+    /**
+     * Remove several entries in one database write
+     * @param {Array<string>} ids - Entry IDs
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async removeEntries(ids) {
+        const removing = new Set(ids);
+        const before = this.data.entries.length;
+
+        this.data.entries = this.data.entries.filter(entry => !removing.has(entry.id));
+        for (const id of removing) {
+            this._dirtyIds.delete(id);
+            this._removedIds.add(id);
+        }
+
+        await this.save();
+        return before - this.data.entries.length;
+    },
+
     /**
      * Remove an entry from the catalog
      * @param {string} id - Entry ID
@@ -154,7 +650,9 @@ const Catalog = {
         if (index === -1) return false;
 
         this.data.entries.splice(index, 1);
-        this.save();
+        this._dirtyIds.delete(id);
+        this._removedIds.add(id);
+        this._saveInBackground();
         return true;
     },
 
@@ -175,40 +673,106 @@ const Catalog = {
         return [...this.data.entries];
     },
 
+    // A full SHA-1 typed into the search box is looked up in the hash index
+    HASH_QUERY_PATTERN: /^[0-9a-f]{40}$/,
+
     /**
      * Search entries
+     * Exact filters (tag, year, publisher) and hash queries run against the
+     * database indexes, or in memory if the database isn't usable; text
+     * matching and the remaining filters run on the results
      * @param {string} query - Search query
      * @param {Object} filters - Filter options
-     * @returns {Array} Matching entries
+     * @returns {Promise<Array>} Matching entries, in catalog order
      */
-    search(query = '', filters = {}) {
+    async search(query = '', filters = {}) {
+        // Without a working database the exact filters run in memory instead
+        let useIndexes = Database.db !== null;
+
+        // Deferred batch writes must land before the indexes are queried
+        if (useIndexes && (this._dirtyIds.size > 0 || this._removedIds.size > 0)) {
+            try {
+                await this.save();
+            } catch (error) {
+                useIndexes = false;
+            }
+        }
+
+        const indexQueries = [];
+        if (filters.tag && filters.tag !== 'all') {
+            indexQueries.push(['tags', filters.tag]);
+        }
+        if (filters.year) {
+            indexQueries.push(['year', filters.year]);
+        }
+        if (filters.publisher) {
+            indexQueries.push(['publisher', filters.publisher]);
+        }
+
+        const hashQuery = query.trim().toLowerCase();
+        const isHashQuery = this.HASH_QUERY_PATTERN.test(hashQuery);
+        if (isHashQuery) {
+            indexQueries.push(['hash', hashQuery]);
+        }
+
         let results = [...this.data.entries];
 
+        if (indexQueries.length > 0 && !useIndexes) {
+            const matches = {
+                tags: (entry, tag) => entry.tags.includes(tag),
+                year: (entry, year) => entry.year === year,
+                publisher: (entry, publisher) => entry.publisher === publisher,
+                hash: (entry, sha1) => this.getVariants(entry).some(v => v.hashes && v.hashes.sha1 === sha1)
+            };
+            results = results.filter(entry =>
+                indexQueries.every(([index, key]) => matches[index](entry, key)));
+        } else if (indexQueries.length > 0) {
+            const keyLists = await Promise.all(indexQueries.map(([index, key]) =>
+                Database.getKeysByIndex('entries', index, key)));
+
+            // Intersect the index hits
+            let ids = new Set(keyLists[0]);
+            for (const keys of keyLists.slice(1)) {
+                const next = new Set(keys);
+                ids = new Set([...ids].filter(id => next.has(id)));
+            }
+            results = results.filter(entry => ids.has(entry.id));
+        }
+
         // Text search
-        if (query) {
+        if (query && !isHashQuery) {
             const lowerQuery = query.toLowerCase();
             results = results.filter(entry =>
                 entry.gameName.toLowerCase().includes(lowerQuery) ||
                 entry.filename.toLowerCase().includes(lowerQuery) ||
                 entry.publisher.toLowerCase().includes(lowerQuery) ||
+                (entry.developer || '').toLowerCase().includes(lowerQuery) ||
+                (entry.genre || '').toLowerCase().includes(lowerQuery) ||
                 entry.notes.toLowerCase().includes(lowerQuery) ||
                 entry.tags.some(tag => tag.toLowerCase().includes(lowerQuery))
             );
         }
 
-        // Filter by type
+        // Filter by type (an extension like '.d64' or a category like 'disk')
         if (filters.type && filters.type !== 'all') {
-            results = results.filter(entry => entry.extension === filters.type);
+            if (filters.type.startsWith('.')) {
+                results = results.filter(entry => entry.extension === filters.type);
+            } else {
+                results = results.filter(entry => Scanner.getFileType(entry.extension) === filters.type);
+            }
         }
 
-        // Filter by tag
-        if (filters.tag && filters.tag !== 'all') {
-            results = results.filter(entry => entry.tags.includes(filters.tag));
+        // Filter by detected tape loader
+        if (filters.loader && filters.loader !== 'all') {
+            results = results.filter(entry =>
+                entry.tapeInfo && entry.tapeInfo.loader === filters.loader);
         }
 
-        // Filter by year
-        if (filters.year) {
-            results = results.filter(entry => entry.year === filters.year);
+        // Filter by tape length category
+        if (filters.tapeLength && filters.tapeLength !== 'all') {
+            results = results.filter(entry =>
+                entry.tapeInfo &&
+                TapeImage.getLengthCategory(entry.tapeInfo.durationSeconds) === filters.tapeLength);
         }
 
         return results;
@@ -228,7 +792,9 @@ const Catalog = {
         if (!entry.tags.includes(normalizedTag)) {
             entry.tags.push(normalizedTag);
             entry.dateModified = new Date().toISOString();
-            this.save();
+            this.markDirty(id);
+            this._saveInBackground();
+            this._syncSidecar(entry);
         }
         return true;
     },
@@ -247,7 +813,9 @@ const Catalog = {
         if (index !== -1) {
             entry.tags.splice(index, 1);
             entry.dateModified = new Date().toISOString();
-            this.save();
+            this.markDirty(id);
+            this._saveInBackground();
+            this._syncSidecar(entry);
         }
         return true;
     },
@@ -266,6 +834,20 @@ const Catalog = {
         return Array.from(tagSet).sort();
     },
 
+    /**
+     * Get all detected tape loaders from all entries
+     * @returns {Array<string>}
+     */
+    getAllLoaders() {
+        const loaderSet = new Set();
+        for (const entry of this.data.entries) {
+            if (entry.tapeInfo && entry.tapeInfo.loader) {
+                loaderSet.add(entry.tapeInfo.loader);
+            }
+        }
+        return Array.from(loaderSet).sort();
+    },
+
     /**
      * Get statistics about the catalog
      * @returns {Object}
@@ -275,20 +857,28 @@ const Catalog = {
             total: this.data.entries.length,
             disk: 0,
             tape: 0,
-            cart: 0
+            cart: 0,
+            program: 0,
+            container: 0
         };
 
         for (const entry of this.data.entries) {
-            switch (entry.extension) {
-                case '.d64':
+            switch (Scanner.getFileType(entry.extension)) {
+                case 'disk':
                     stats.disk++;
                     break;
-                case '.tap':
+                case 'tape':
                     stats.tape++;
                     break;
-                case '.crt':
+                case 'cart':
                     stats.cart++;
                     break;
+                case 'program':
+                    stats.program++;
+                    break;
+                case 'container':
+                    stats.container++;
+                    break;
             }
         }
 
@@ -304,7 +894,7 @@ const Catalog = {
             ...this.data.settings,
             ...settings
         };
-        this.save();
+        this._saveInBackground();
     },
 
     /**
@@ -326,9 +916,9 @@ const Catalog = {
     /**
      * Import catalog from JSON
      * @param {string} jsonString - JSON data
-     * @returns {boolean} Success
+     * @returns {Promise<number>} Number of entries added
      */
-    import(jsonString) {
+    async import(jsonString) {
         try {
             const imported = JSON.parse(jsonString);
 
@@ -337,16 +927,18 @@ const Catalog = {
                 throw new Error('Invalid catalog format');
             }
 
-            // Merge entries (skip duplicates based on filename + path)
+            // Merge entries (skip duplicates based on content hash, or filename + path)
             const existingKeys = new Set(
-                this.data.entries.map(e => `${e.filename}:${e.originalPath}`)
+                this.data.entries.map(e => this.getDuplicateKey(e))
             );
 
             let addedCount = 0;
             for (const entry of imported.entries) {
-                const key = `${entry.filename}:${entry.originalPath}`;
+                const key = this.getDuplicateKey(entry);
                 if (!existingKeys.has(key)) {
                     this.data.entries.push(entry);
+                    this.markDirty(entry.id);
+                    this._indexHashes(entry);
                     existingKeys.add(key);
                     addedCount++;
                 }
@@ -360,7 +952,7 @@ const Catalog = {
                 };
             }
 
-            this.save();
+            await this.save();
             return addedCount;
         } catch (error) {
             console.error('Import error:', error);
@@ -368,26 +960,153 @@ const Catalog = {
         }
     },
 
+    /**
+     * Verify every variant against a parsed DAT file
+     * Variants whose extension the DAT doesn't cover are left untouched, and a
+     * verification from another DAT is kept when this one has no match
+     * @param {Object} dat - Parsed DAT from DatFile.parse()
+     * @returns {Promise<Object>} Report { datName, datVersion, verified, bad, unknown, missing }
+     */
+    async verifyWithDat(dat) {
+        const index = DatFile.buildIndex(dat);
+        const datName = dat.name || dat.description || 'DAT file';
+        const checkedAt = new Date().toISOString();
+        const matchedGames = new Set();
+        const report = {
+            datName,
+            datVersion: dat.version,
+            verified: [],
+            bad: [],
+            unknown: [],
+            missing: []
+        };
+
+        // Only judge file kinds the DAT actually lists
+        const coveredExtensions = new Set();
+        for (const game of dat.games) {
+            for (const rom of game.roms) {
+                const dot = rom.name.lastIndexOf('.');
+                if (dot !== -1) coveredExtensions.add(rom.name.slice(dot).toLowerCase());
+            }
+        }
+
+        for (const entry of this.data.entries) {
+            const variants = this.getVariants(entry).map(variant => {
+                const match = DatFile.findMatch(index, variant.hashes, variant.fileSize);
+                let verification;
+
+                if (match) {
+                    matchedGames.add(match.game);
+                    const badDump = match.rom.status === 'baddump' || match.rom.status === 'nodump';
+                    verification = {
+                        status: badDump ? 'bad' : 'verified',
+                        canonicalName: match.rom.name,
+                        datGame: match.game.name,
+                        datName,
+                        checkedAt
+                    };
+                } else if (!coveredExtensions.has(variant.extension) ||
+                    (variant.verification && variant.verification.datName !== datName &&
+                        variant.verification.status === 'verified')) {
+                    return variant;
+                } else {
+                    const flaggedBad = variant.corrupt ||
+                        (variant.nameInfo && variant.nameInfo.flags.some(f => f.code === 'b'));
+                    verification = {
+                        status: flaggedBad ? 'bad' : 'unknown',
+                        canonicalName: null,
+                        datGame: null,
+                        datName,
+                        checkedAt
+                    };
+                }
+
+                report[verification.status].push({
+                    entryId: entry.id,
+                    gameName: entry.gameName,
+                    filename: variant.filename,
+                    canonicalName: verification.canonicalName
+                });
+
+                return { ...variant, verification };
+            });
+
+            entry.variants = variants;
+            this._syncPreferredVariant(entry);
+            this.markDirty(entry.id);
+        }
+
+        report.missing = dat.games
+            .filter(game => !matchedGames.has(game))
+            .map(game => game.name);
+
+        await this.save();
+        return report;
+    },
+
     /**
      * Clear all entries from the catalog
+     * @returns {Promise<void>}
      */
-    clear() {
+    async clear() {
         this.data.entries = [];
-        this.save();
+        this._dirtyIds.clear();
+        this._removedIds.clear();
+        this._hashIndex.clear();
+        await Database.clear('entries');
+        await this.save();
+    },
+
+    /**
+     * Get the key used to detect duplicate entries
+     * The SHA-1 identifies a dump; entries without hashes fall back to filename + path
+     * @param {Object} entry - Catalog entry
+     * @returns {string}
+     */
+    getDuplicateKey(entry) {
+        if (entry.hashes && entry.hashes.sha1) {
+            return `sha1:${entry.hashes.sha1}`;
+        }
+        return `${entry.filename}:${entry.originalPath}`;
+    },
+
+    /**
+     * Find the entry owning a variant with the given content hash
+     * @param {string} sha1 - SHA-1 hex digest
+     * @returns {Object|null}
+     */
+    getEntryByHash(sha1) {
+        const ids = this._hashIndex.get(sha1);
+        if (!ids) return null;
+
+        for (const id of ids) {
+            const entry = this.getEntry(id);
+            if (entry && this.getVariants(entry).some(v => v.hashes && v.hashes.sha1 === sha1)) {
+                return entry;
+            }
+            // Index hits for removed entries or replaced dumps are dropped on the way
+            ids.delete(id);
+        }
+
+        this._hashIndex.delete(sha1);
+        return null;
     },
 
     /**
-     * Check if an entry already exists (by filename)
-     * @param {string} filename - Filename to check
+     * Check if a scanned file already exists in the catalog
+     * Matches by content hash when available, otherwise by filename
+     * @param {Object} fileInfo - File information from scanner
      * @returns {boolean}
      */
-    hasEntry(filename) {
-        return this.data.entries.some(e => e.filename === filename);
+    hasEntry(fileInfo) {
+        if (fileInfo.hashes && fileInfo.hashes.sha1) {
+            return this.getEntryByHash(fileInfo.hashes.sha1) !== null;
+        }
+        return this.data.entries.some(e =>
+            this.getVariants(e).some(v => v.filename === fileInfo.name)
+        );
     }
 };
 
-// Initialize on load
-Catalog.init();
-
 // Export for use in other modules
 window.Catalog = Catalog;
@@ -0,0 +1,147 @@
+/**
+ * C64 Cataloger - Database Module
+ * Thin promise wrapper around the IndexedDB database that stores the catalog
+ * and the folder handles it was scanned from
+ */
+
+const Database = {
+    NAME: 'c64-cataloger',
+    VERSION: 2,
+
+    // Open database connection
+    db: null,
+
+    /**
+     * Open the database, creating or upgrading its object stores
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.NAME, this.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('entries')) {
+                    const entries = db.createObjectStore('entries', { keyPath: 'id' });
+                    entries.createIndex('gameName', 'gameNameKey');
+                    entries.createIndex('year', 'year');
+                    entries.createIndex('publisher', 'publisher');
+                    entries.createIndex('tags', 'tags', { multiEntry: true });
+                    entries.createIndex('hash', 'sha1s', { multiEntry: true });
+                }
+
+                // Catalog-level records (version, settings) keyed by name
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+
+                // FileSystemDirectoryHandles of scan roots and the library
+                if (!db.objectStoreNames.contains('handles')) {
+                    db.createObjectStore('handles', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database is open in another tab with an older version'));
+        });
+    },
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get a single record
+     * @param {string} storeName - Object store
+     * @param {*} key - Primary key
+     * @returns {Promise<Object|undefined>}
+     */
+    get(storeName, key) {
+        const store = this.db.transaction(storeName).objectStore(storeName);
+        return this._request(store.get(key));
+    },
+
+    /**
+     * Get every record in a store
+     * @param {string} storeName - Object store
+     * @returns {Promise<Array<Object>>}
+     */
+    getAll(storeName) {
+        const store = this.db.transaction(storeName).objectStore(storeName);
+        return this._request(store.getAll());
+    },
+
+    /**
+     * Get the primary keys of records matching an index query
+     * @param {string} storeName - Object store
+     * @param {string} indexName - Index name
+     * @param {*} query - Key or IDBKeyRange
+     * @returns {Promise<Array>}
+     */
+    getKeysByIndex(storeName, indexName, query) {
+        const index = this.db.transaction(storeName).objectStore(storeName).index(indexName);
+        return this._request(index.getAllKeys(query));
+    },
+
+    /**
+     * Apply puts and deletes to one or more stores in a single transaction
+     * The transaction is created synchronously, so later reads see these writes
+     * @param {Object} changes - { storeName: { put: [records], delete: [keys] } }
+     * @returns {Promise<void>} Resolves when the transaction commits
+     */
+    write(changes) {
+        if (!this.db) {
+            return Promise.reject(new Error('Database is not open'));
+        }
+
+        const storeNames = Object.keys(changes);
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+
+        for (const storeName of storeNames) {
+            const store = transaction.objectStore(storeName);
+            for (const record of changes[storeName].put || []) {
+                store.put(record);
+            }
+            for (const key of changes[storeName].delete || []) {
+                store.delete(key);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Remove every record from a store
+     * @param {string} storeName - Object store
+     * @returns {Promise<void>}
+     */
+    clear(storeName) {
+        if (!this.db) {
+            return Promise.reject(new Error('Database is not open'));
+        }
+
+        const store = this.db.transaction(storeName, 'readwrite').objectStore(storeName);
+        return this._request(store.clear());
+    }
+};
+
+// Export for use in other modules
+window.Database = Database;
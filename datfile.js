@@ -0,0 +1,220 @@
+/**
+ * C64 Cataloger - DAT File Module
+ * Parses Logiqx XML and ClrMamePro DAT files for dump verification
+ */
+
+const DatFile = {
+    /**
+     * Parse a DAT file, detecting its format
+     * @param {string} text - DAT file contents
+     * @returns {Object} { name, description, version, games: [{ name, description, roms }] }
+     */
+    parse(text) {
+        const trimmed = text.trimStart();
+        if (trimmed.startsWith('<')) {
+            return this.parseLogiqx(trimmed);
+        }
+        return this.parseClrMamePro(trimmed);
+    },
+
+    /**
+     * Parse a Logiqx XML DAT (TOSEC, No-Intro)
+     * @param {string} text - XML contents
+     * @returns {Object} Parsed DAT
+     */
+    parseLogiqx(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('Invalid XML DAT file');
+        }
+
+        const root = doc.querySelector('datafile');
+        if (!root) {
+            throw new Error('Not a Logiqx DAT file (missing <datafile>)');
+        }
+
+        const headerText = (tag) => {
+            const el = root.querySelector(`header > ${tag}`);
+            return el ? el.textContent.trim() : '';
+        };
+
+        const games = [];
+        for (const gameEl of root.querySelectorAll('game, machine')) {
+            const descriptionEl = gameEl.querySelector('description');
+            games.push({
+                name: gameEl.getAttribute('name') || '',
+                description: descriptionEl ? descriptionEl.textContent.trim() : '',
+                roms: Array.from(gameEl.querySelectorAll('rom'), rom => this._normalizeRom({
+                    name: rom.getAttribute('name'),
+                    size: rom.getAttribute('size'),
+                    crc: rom.getAttribute('crc'),
+                    md5: rom.getAttribute('md5'),
+                    sha1: rom.getAttribute('sha1'),
+                    status: rom.getAttribute('status')
+                }))
+            });
+        }
+
+        return {
+            format: 'logiqx',
+            name: headerText('name'),
+            description: headerText('description'),
+            version: headerText('version'),
+            games
+        };
+    },
+
+    /**
+     * Parse a ClrMamePro text DAT
+     * @param {string} text - DAT contents
+     * @returns {Object} Parsed DAT
+     */
+    parseClrMamePro(text) {
+        const blocks = this._parseClrMameProBlocks(this._tokenize(text));
+
+        const header = blocks.find(b => b.key === 'clrmamepro');
+        if (!header && !blocks.some(b => b.key === 'game')) {
+            throw new Error('Not a ClrMamePro DAT file');
+        }
+
+        const games = blocks
+            .filter(b => b.key === 'game' || b.key === 'machine')
+            .map(block => ({
+                name: this._field(block.value, 'name'),
+                description: this._field(block.value, 'description'),
+                roms: block.value
+                    .filter(item => item.key === 'rom' && Array.isArray(item.value))
+                    .map(rom => this._normalizeRom({
+                        name: this._field(rom.value, 'name'),
+                        size: this._field(rom.value, 'size'),
+                        crc: this._field(rom.value, 'crc'),
+                        md5: this._field(rom.value, 'md5'),
+                        sha1: this._field(rom.value, 'sha1'),
+                        status: this._field(rom.value, 'flags') || this._field(rom.value, 'status')
+                    }))
+            }));
+
+        return {
+            format: 'clrmamepro',
+            name: header ? this._field(header.value, 'name') : '',
+            description: header ? this._field(header.value, 'description') : '',
+            version: header ? this._field(header.value, 'version') : '',
+            games
+        };
+    },
+
+    /**
+     * Split ClrMamePro text into tokens: '(', ')', quoted strings and bare words
+     * @private
+     */
+    _tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(?:(\()|(\))|"((?:[^"\\]|\\.)*)"|([^\s()"]+))/gy;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[1]) tokens.push({ type: 'open' });
+            else if (match[2]) tokens.push({ type: 'close' });
+            else if (match[3] !== undefined) tokens.push({ type: 'word', value: match[3].replace(/\\(.)/g, '$1') });
+            else if (match[4] !== undefined) tokens.push({ type: 'word', value: match[4] });
+            if (pattern.lastIndex >= text.length) break;
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Build key/value items from tokens; a value is a word or a nested item list
+     * @private
+     */
+    _parseClrMameProBlocks(tokens) {
+        let pos = 0;
+
+        const parseItems = () => {
+            const items = [];
+            while (pos < tokens.length && tokens[pos].type !== 'close') {
+                const keyToken = tokens[pos++];
+                if (keyToken.type !== 'word') continue;
+
+                const next = tokens[pos];
+                if (!next) break;
+
+                if (next.type === 'open') {
+                    pos++;
+                    items.push({ key: keyToken.value.toLowerCase(), value: parseItems() });
+                    pos++; // skip ')'
+                } else if (next.type === 'word') {
+                    pos++;
+                    items.push({ key: keyToken.value.toLowerCase(), value: next.value });
+                }
+            }
+            return items;
+        };
+
+        return parseItems();
+    },
+
+    /**
+     * Read a simple field from a ClrMamePro item list
+     * @private
+     */
+    _field(items, key) {
+        const item = items.find(i => i.key === key && typeof i.value === 'string');
+        return item ? item.value : '';
+    },
+
+    /**
+     * Normalize hash casing and sizes of a ROM record
+     * @private
+     */
+    _normalizeRom(rom) {
+        return {
+            name: rom.name || '',
+            size: rom.size ? parseInt(rom.size, 10) : null,
+            crc: rom.crc ? rom.crc.toLowerCase().padStart(8, '0') : null,
+            md5: rom.md5 ? rom.md5.toLowerCase() : null,
+            sha1: rom.sha1 ? rom.sha1.toLowerCase() : null,
+            status: rom.status ? rom.status.toLowerCase() : 'good'
+        };
+    },
+
+    /**
+     * Build hash lookup tables for a parsed DAT
+     * @param {Object} dat - Parsed DAT
+     * @returns {Object} { bySha1, byMd5, byCrc } maps of hash -> { game, rom }
+     */
+    buildIndex(dat) {
+        const index = { bySha1: new Map(), byMd5: new Map(), byCrc: new Map() };
+
+        for (const game of dat.games) {
+            for (const rom of game.roms) {
+                const match = { game, rom };
+                if (rom.sha1) index.bySha1.set(rom.sha1, match);
+                if (rom.md5) index.byMd5.set(rom.md5, match);
+                if (rom.crc) index.byCrc.set(`${rom.crc}:${rom.size}`, match);
+            }
+        }
+
+        return index;
+    },
+
+    /**
+     * Find the DAT record matching a set of content hashes
+     * SHA-1 is preferred, then MD5, then CRC32 together with the file size
+     * @param {Object} index - Index from buildIndex()
+     * @param {Object} hashes - { crc32, md5, sha1 }
+     * @param {number} size - File size in bytes
+     * @returns {Object|null} { game, rom } or null
+     */
+    findMatch(index, hashes, size) {
+        if (!hashes) return null;
+
+        return (hashes.sha1 && index.bySha1.get(hashes.sha1)) ||
+            (hashes.md5 && index.byMd5.get(hashes.md5)) ||
+            (hashes.crc32 && index.byCrc.get(`${hashes.crc32}:${size}`)) ||
+            null;
+    }
+};
+
+// Export for use in other modules
+window.DatFile = DatFile;
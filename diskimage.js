@@ -0,0 +1,450 @@
+/**
+ * C64 Cataloger - Disk Image Module
+ * Parses CBM DOS disk images (directory and BAM) to catalog their contents
+ */
+
+const DiskImage = {
+    // Sector-dump image layouts, identified by file size
+    // Each size may be followed by one error byte per sector
+    LAYOUTS: {
+        '.d64': [
+            { format: 'd64', tracks: 35 },
+            { format: 'd64', tracks: 40 }
+        ],
+        '.d71': [
+            { format: 'd71', tracks: 70 }
+        ],
+        '.d81': [
+            { format: 'd81', tracks: 80 }
+        ]
+    },
+
+    // Directory locations
+    DIRECTORY_TRACK: 18,
+    D71_SECOND_BAM_TRACK: 53,
+    D81_HEADER_TRACK: 40,
+
+    // G64 header signature
+    G64_SIGNATURE: 'GCR-1541',
+
+    // CBM DOS file type names (low nibble of the type byte)
+    FILE_TYPES: ['DEL', 'SEQ', 'PRG', 'USR', 'REL', 'CBM'],
+
+    // PETSCII padding character used for names
+    PETSCII_PAD: 0xA0,
+
+    // GCR 5-bit code -> 4-bit nibble (-1 for invalid codes)
+    GCR_DECODE: [
+        -1, -1, -1, -1, -1, -1, -1, -1, -1, 0x8, 0x0, 0x1, -1, 0xC, 0x4, 0x5,
+        -1, -1, 0x2, 0x3, -1, 0xF, 0x6, 0x7, -1, 0x9, 0xA, 0xB, -1, 0xD, 0xE, -1
+    ],
+
+    /**
+     * Get the number of sectors on a 1541 track
+     * @param {number} track - Track number (1-based)
+     * @returns {number} Sector count
+     */
+    sectorsPerTrack(track) {
+        if (track <= 17) return 21;
+        if (track <= 24) return 19;
+        if (track <= 30) return 18;
+        return 17;
+    },
+
+    /**
+     * Get the number of sectors on a track for a given image format
+     * @param {string} format - Image format (d64, d71, d81)
+     * @param {number} track - Track number (1-based)
+     * @returns {number} Sector count
+     */
+    formatSectorsPerTrack(format, track) {
+        switch (format) {
+            case 'd81':
+                return 40;
+            case 'd71':
+                return this.sectorsPerTrack(track > 35 ? track - 35 : track);
+            default:
+                return this.sectorsPerTrack(track);
+        }
+    },
+
+    /**
+     * Convert PETSCII bytes to a displayable string
+     * @param {Uint8Array} bytes - PETSCII bytes
+     * @param {boolean} stripPadding - Stop at the first $A0 padding byte
+     * @returns {string} Converted string
+     */
+    petsciiToString(bytes, stripPadding = true) {
+        let result = '';
+        for (const byte of bytes) {
+            if (byte === this.PETSCII_PAD) {
+                if (stripPadding) break;
+                result += ' ';
+            } else if (byte >= 0x20 && byte <= 0x5B) {
+                result += String.fromCharCode(byte);
+            } else if (byte === 0x5C) {
+                result += '£';
+            } else if (byte === 0x5D) {
+                result += ']';
+            } else if (byte === 0x5E) {
+                result += '↑';
+            } else if (byte === 0x5F) {
+                result += '←';
+            } else if (byte >= 0xC1 && byte <= 0xDA) {
+                result += String.fromCharCode(byte - 0x80);
+            } else {
+                result += '▒';
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Build a sector reader over a plain sector-dump image
+     * @private
+     */
+    _createImageReader(data, format, tracks) {
+        const trackOffsets = [];
+        let offset = 0;
+        for (let track = 1; track <= tracks; track++) {
+            trackOffsets[track] = offset;
+            offset += this.formatSectorsPerTrack(format, track) * 256;
+        }
+
+        return {
+            imageSize: offset,
+            sectorCount: offset / 256,
+            readSector: (track, sector) => {
+                if (track < 1 || track > tracks) return null;
+                if (sector < 0 || sector >= this.formatSectorsPerTrack(format, track)) return null;
+                const start = trackOffsets[track] + sector * 256;
+                return data.subarray(start, start + 256);
+            }
+        };
+    },
+
+    /**
+     * Work out the layout of a sector-dump image from its size
+     * @private
+     */
+    _detectLayout(data, extension) {
+        const layouts = this.LAYOUTS[extension] || [];
+
+        for (const layout of layouts) {
+            const reader = this._createImageReader(data, layout.format, layout.tracks);
+
+            if (data.length === reader.imageSize) {
+                return { ...layout, reader, errorTable: null };
+            }
+            if (data.length === reader.imageSize + reader.sectorCount) {
+                const errorTable = data.subarray(reader.imageSize);
+                return { ...layout, reader, errorTable };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Parse a D64 or D71 image (1541/1571 BAM layout)
+     * @private
+     */
+    _parse1541(reader, format, tracks) {
+        const bam = reader.readSector(this.DIRECTORY_TRACK, 0);
+        if (!bam) return null;
+
+        // Free blocks: per-track free counts for tracks 1-35, excluding the directory track
+        let freeBlocks = 0;
+        for (let track = 1; track <= 35; track++) {
+            if (track === this.DIRECTORY_TRACK) continue;
+            freeBlocks += bam[4 * track];
+        }
+
+        // 1571: free counts for side two (tracks 36-70) live at $DD-$FF
+        if (format === 'd71' && (bam[3] & 0x80)) {
+            for (let track = 36; track <= 70; track++) {
+                if (track === this.D71_SECOND_BAM_TRACK) continue;
+                freeBlocks += bam[0xDD + track - 36];
+            }
+        }
+
+        return {
+            format,
+            tracks,
+            diskName: this.petsciiToString(bam.subarray(0x90, 0xA0)),
+            diskId: this.petsciiToString(bam.subarray(0xA2, 0xA4), false),
+            dosType: this.petsciiToString(bam.subarray(0xA5, 0xA7), false),
+            freeBlocks,
+            files: this._readDirectory(reader, bam[0], bam[1])
+        };
+    },
+
+    /**
+     * Parse a D81 image (1581 header and BAM layout)
+     * @private
+     */
+    _parse1581(reader, tracks) {
+        const header = reader.readSector(this.D81_HEADER_TRACK, 0);
+        if (!header) return null;
+
+        // Two BAM sectors, 40 tracks each, 6 bytes per track starting at $10
+        let freeBlocks = 0;
+        for (let bamSector = 1; bamSector <= 2; bamSector++) {
+            const bam = reader.readSector(this.D81_HEADER_TRACK, bamSector);
+            if (!bam) continue;
+
+            for (let i = 0; i < 40; i++) {
+                const track = (bamSector - 1) * 40 + i + 1;
+                if (track === this.D81_HEADER_TRACK) continue;
+                freeBlocks += bam[0x10 + i * 6];
+            }
+        }
+
+        return {
+            format: 'd81',
+            tracks,
+            diskName: this.petsciiToString(header.subarray(0x04, 0x14)),
+            diskId: this.petsciiToString(header.subarray(0x16, 0x18), false),
+            dosType: this.petsciiToString(header.subarray(0x19, 0x1B), false),
+            freeBlocks,
+            files: this._readDirectory(reader, header[0], header[1])
+        };
+    },
+
+    /**
+     * Follow the directory sector chain and collect file entries
+     * @private
+     */
+    _readDirectory(reader, track, sector) {
+        const files = [];
+        const visited = new Set();
+
+        while (track !== 0) {
+            const key = `${track}/${sector}`;
+            const data = reader.readSector(track, sector);
+
+            // Stop on broken or looping chains
+            if (!data || visited.has(key)) break;
+            visited.add(key);
+
+            for (let i = 0; i < 8; i++) {
+                const entry = data.subarray(i * 32, (i + 1) * 32);
+                const typeByte = entry[2];
+
+                // Empty or scratched slot
+                if (typeByte === 0) continue;
+
+                files.push({
+                    name: this.petsciiToString(entry.subarray(5, 21)),
+                    type: this.FILE_TYPES[typeByte & 0x0F] || '???',
+                    blocks: entry[30] | (entry[31] << 8),
+                    closed: (typeByte & 0x80) !== 0,
+                    locked: (typeByte & 0x40) !== 0
+                });
+            }
+
+            track = data[0];
+            sector = data[1];
+        }
+
+        return files;
+    },
+
+    /**
+     * Count sectors flagged with a read error in an error table
+     * @private
+     */
+    _countErrorSectors(errorTable) {
+        let count = 0;
+        for (const code of errorTable) {
+            // 0 and 1 both mean "no error"
+            if (code > 1) count++;
+        }
+        return count;
+    },
+
+    /**
+     * Parse a sector-dump disk image (D64, D71, D81)
+     * @param {ArrayBuffer} buffer - The disk image data
+     * @param {string} extension - File extension
+     * @returns {Object|null} Parsed directory or null if invalid
+     */
+    parseSectorImage(buffer, extension) {
+        const data = new Uint8Array(buffer);
+        const layout = this._detectLayout(data, extension);
+        if (!layout) return null;
+
+        const directory = layout.format === 'd81'
+            ? this._parse1581(layout.reader, layout.tracks)
+            : this._parse1541(layout.reader, layout.format, layout.tracks);
+        if (!directory) return null;
+
+        directory.hasErrorTable = layout.errorTable !== null;
+        directory.errorSectors = layout.errorTable ? this._countErrorSectors(layout.errorTable) : 0;
+
+        return directory;
+    },
+
+    /**
+     * Parse a G64 image by decoding the GCR data of the tracks it needs
+     * @param {ArrayBuffer} buffer - The G64 image data
+     * @returns {Object|null} Parsed directory or null if invalid
+     */
+    parseG64(buffer) {
+        const data = new Uint8Array(buffer);
+        if (data.length < 12) return null;
+
+        const signature = String.fromCharCode(...data.subarray(0, 8));
+        if (signature !== this.G64_SIGNATURE) return null;
+
+        const view = new DataView(buffer);
+        const halfTracks = data[9];
+        const decodedTracks = new Map();
+
+        const reader = {
+            readSector: (track, sector) => {
+                if (!decodedTracks.has(track)) {
+                    decodedTracks.set(track, this._decodeG64Track(data, view, halfTracks, track));
+                }
+                return decodedTracks.get(track).get(sector) || null;
+            }
+        };
+
+        const directory = this._parse1541(reader, 'g64', Math.ceil(halfTracks / 2));
+        if (!directory) return null;
+
+        directory.version = data[8];
+        directory.hasErrorTable = false;
+        directory.errorSectors = 0;
+
+        return directory;
+    },
+
+    /**
+     * Decode all readable sectors of a G64 track
+     * @private
+     * @returns {Map<number, Uint8Array>} Sector number -> 256 data bytes
+     */
+    _decodeG64Track(data, view, halfTracks, track) {
+        const sectors = new Map();
+        const index = (track - 1) * 2;
+        if (index >= halfTracks) return sectors;
+
+        const tableOffset = 12 + index * 4;
+        if (tableOffset + 4 > data.length) return sectors;
+
+        const trackOffset = view.getUint32(tableOffset, true);
+        if (trackOffset === 0 || trackOffset + 2 > data.length) return sectors;
+
+        const length = view.getUint16(trackOffset, true);
+        const trackData = data.subarray(trackOffset + 2, trackOffset + 2 + length);
+        const bitLength = trackData.length * 8;
+        if (bitLength === 0) return sectors;
+
+        // Track data is circular; bits are read MSB first
+        const bitAt = (pos) => {
+            const p = pos % bitLength;
+            return (trackData[p >> 3] >> (7 - (p & 7))) & 1;
+        };
+
+        let pendingSector = null;
+        let ones = 0;
+
+        for (let pos = 0; pos < bitLength; pos++) {
+            if (bitAt(pos)) {
+                ones++;
+                continue;
+            }
+
+            // A sync mark is 10+ one bits; the block starts at the first zero bit
+            if (ones >= 10) {
+                const id = this._decodeGcr(bitAt, pos, 1)[0];
+
+                if (id === 0x08) {
+                    const header = this._decodeGcr(bitAt, pos, 8);
+                    pendingSector = header[3] === track ? header[2] : null;
+                } else if (id === 0x07 && pendingSector !== null) {
+                    const block = this._decodeGcr(bitAt, pos, 257);
+                    if (!sectors.has(pendingSector)) {
+                        sectors.set(pendingSector, block.subarray(1, 257));
+                    }
+                    pendingSector = null;
+                }
+            }
+            ones = 0;
+        }
+
+        return sectors;
+    },
+
+    /**
+     * Decode GCR bytes from a bit stream
+     * @private
+     */
+    _decodeGcr(bitAt, start, byteCount) {
+        const result = new Uint8Array(byteCount);
+        let pos = start;
+
+        for (let i = 0; i < byteCount * 2; i++) {
+            let code = 0;
+            for (let b = 0; b < 5; b++) {
+                code = (code << 1) | bitAt(pos++);
+            }
+            const nibble = Math.max(this.GCR_DECODE[code], 0);
+            if (i % 2 === 0) {
+                result[i >> 1] = nibble << 4;
+            } else {
+                result[i >> 1] |= nibble;
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Parse a disk image based on its extension
+     * @param {ArrayBuffer} buffer - The image data
+     * @param {string} extension - File extension (.d64, .d71, .d81, .g64)
+     * @returns {Object|null} Parsed directory or null if unsupported/invalid
+     */
+    parse(buffer, extension) {
+        try {
+            const ext = extension.toLowerCase();
+            if (ext === '.g64') {
+                return this.parseG64(buffer);
+            }
+            if (this.LAYOUTS[ext]) {
+                return this.parseSectorImage(buffer, ext);
+            }
+            return null;
+        } catch (error) {
+            console.warn('Error parsing disk image:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Format a parsed directory as a C64-style LOAD"$",8 listing
+     * @param {Object} directory - Parsed directory from parse()
+     * @returns {string} Multi-line listing
+     */
+    formatListing(directory) {
+        const lines = [];
+
+        lines.push(`0 "${directory.diskName.padEnd(16)}" ${directory.diskId} ${directory.dosType}`);
+
+        for (const file of directory.files) {
+            const blocks = String(file.blocks).padEnd(5);
+            const name = `"${file.name}"`.padEnd(18);
+            const type = `${file.closed ? ' ' : '*'}${file.type}${file.locked ? '<' : ''}`;
+            lines.push(`${blocks}${name}${type}`);
+        }
+
+        lines.push(`${directory.freeBlocks} BLOCKS FREE.`);
+
+        return lines.join('\n');
+    }
+};
+
+// Export for use in other modules
+window.DiskImage = DiskImage;
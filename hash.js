@@ -0,0 +1,169 @@
+/**
+ * C64 Cataloger - Hash Module
+ * Computes CRC32, MD5 and SHA-1 content hashes for dump verification
+ */
+
+const Hash = {
+    // CRC32 lookup table (built on first use)
+    _crcTable: null,
+
+    // MD5 per-round shift amounts
+    MD5_SHIFTS: [
+        7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+        5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+        4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+        6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+    ],
+
+    // MD5 constants (built on first use)
+    _md5Constants: null,
+
+    /**
+     * Compute the CRC32 of a buffer
+     * @param {ArrayBuffer|Uint8Array} buffer - The data
+     * @returns {string} 8-digit lowercase hex
+     */
+    crc32(buffer) {
+        const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        if (!this._crcTable) {
+            this._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                this._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this._crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Compute the MD5 of a buffer
+     * Web Crypto has no MD5, so this is a plain implementation of RFC 1321
+     * @param {ArrayBuffer|Uint8Array} buffer - The data
+     * @returns {string} 32-digit lowercase hex
+     */
+    md5(buffer) {
+        const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        if (!this._md5Constants) {
+            this._md5Constants = new Uint32Array(64);
+            for (let i = 0; i < 64; i++) {
+                this._md5Constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0;
+            }
+        }
+        const K = this._md5Constants;
+        const S = this.MD5_SHIFTS;
+
+        // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length (little endian)
+        const paddedLength = (((data.length + 8) >>> 6) + 1) << 6;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(data);
+        padded[data.length] = 0x80;
+
+        const view = new DataView(padded.buffer);
+        const bitLength = data.length * 8;
+        view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+        view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+        let a0 = 0x67452301;
+        let b0 = 0xEFCDAB89;
+        let c0 = 0x98BADCFE;
+        let d0 = 0x10325476;
+        const M = new Uint32Array(16);
+
+        for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+            for (let i = 0; i < 16; i++) {
+                M[i] = view.getUint32(chunk + i * 4, true);
+            }
+
+            let A = a0;
+            let B = b0;
+            let C = c0;
+            let D = d0;
+
+            for (let i = 0; i < 64; i++) {
+                let F;
+                let g;
+                if (i < 16) {
+                    F = (B & C) | (~B & D);
+                    g = i;
+                } else if (i < 32) {
+                    F = (D & B) | (~D & C);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    F = B ^ C ^ D;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    F = C ^ (B | ~D);
+                    g = (7 * i) % 16;
+                }
+
+                F = (F + A + K[i] + M[g]) >>> 0;
+                A = D;
+                D = C;
+                C = B;
+                B = (B + ((F << S[i]) | (F >>> (32 - S[i])))) >>> 0;
+            }
+
+            a0 = (a0 + A) >>> 0;
+            b0 = (b0 + B) >>> 0;
+            c0 = (c0 + C) >>> 0;
+            d0 = (d0 + D) >>> 0;
+        }
+
+        // Output words little endian
+        const out = new DataView(new ArrayBuffer(16));
+        out.setUint32(0, a0, true);
+        out.setUint32(4, b0, true);
+        out.setUint32(8, c0, true);
+        out.setUint32(12, d0, true);
+        return this._toHex(new Uint8Array(out.buffer));
+    },
+
+    /**
+     * Compute the SHA-1 of a buffer using Web Crypto
+     * @param {ArrayBuffer|Uint8Array} buffer - The data
+     * @returns {Promise<string>} 40-digit lowercase hex
+     */
+    async sha1(buffer) {
+        const digest = await crypto.subtle.digest('SHA-1', buffer);
+        return this._toHex(new Uint8Array(digest));
+    },
+
+    /**
+     * Compute all content hashes for a buffer
+     * @param {ArrayBuffer} buffer - The data
+     * @returns {Promise<Object>} { crc32, md5, sha1 }
+     */
+    async computeAll(buffer) {
+        return {
+            crc32: this.crc32(buffer),
+            md5: this.md5(buffer),
+            sha1: await this.sha1(buffer)
+        };
+    },
+
+    /**
+     * Convert bytes to lowercase hex
+     * @private
+     */
+    _toHex(bytes) {
+        let hex = '';
+        for (const byte of bytes) {
+            hex += byte.toString(16).padStart(2, '0');
+        }
+        return hex;
+    }
+};
+
+// Export for use in other modules
+window.Hash = Hash;
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+/**
+ * C64 Cataloger - Fake Emulator
+ * Stands in for an emulator when trying out the launch helper: appends the
+ * arguments it was started with to a log file and exits.
+ *
+ * The log is fake-emulator.log next to this script, or FAKE_EMULATOR_LOG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logPath = process.env.FAKE_EMULATOR_LOG || path.join(__dirname, 'fake-emulator.log');
+
+fs.appendFileSync(logPath, JSON.stringify({
+    time: new Date().toISOString(),
+    args: process.argv.slice(2)
+}) + '\n');
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * C64 Cataloger - Launch Helper
+ * Optional localhost companion that starts emulators and opens folders for the
+ * cataloger, which as a web page can't run programs itself.
+ *
+ * Only profiles listed in the config can be run, with the executable from the
+ * config; the page supplies just the arguments, and no shell is involved.
+ * Only pages served from the config's origins may call it; list the
+ * cataloger's origin there exactly, scheme, host and port.
+ *
+ * Usage: node helper/launch-helper.js [--config path] [--port number]
+ * Uses only Node.js built-ins.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const VERSION = 1;
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'launch-helper.json');
+
+const DEFAULT_PORT = 8764;
+
+// Cap on request bodies; launch requests are a few hundred bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Cap on arguments per launch, well above any profile's template
+const MAX_ARGUMENTS = 32;
+
+// Pages served from these origins may use the helper (e.g. python -m http.server)
+const DEFAULT_ORIGINS = ['http://localhost:8000', 'http://127.0.0.1:8000'];
+
+/**
+ * An error with the HTTP status it's reported with
+ */
+class HelperError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Read the command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { configPath, port }
+ */
+function parseOptions(argv) {
+    const options = { configPath: DEFAULT_CONFIG_PATH, port: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') {
+            options.configPath = path.resolve(argv[++i]);
+        } else if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load the config file
+ * Profiles map cataloger profile IDs to { executable, args } where args are
+ * put before the page's arguments (e.g. a script run by node); a bare string
+ * is taken as the executable
+ * @param {string} configPath - Path of the JSON config
+ * @returns {Object} { port, origins, profiles }
+ */
+function loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`No config at ${configPath}; copy launch-helper.example.json there and edit it`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const configDir = path.dirname(configPath);
+    const profiles = {};
+
+    for (const [id, profile] of Object.entries(config.profiles || {})) {
+        const executable = typeof profile === 'string' ? profile : profile.executable;
+        if (!executable) {
+            throw new Error(`Profile "${id}" has no executable`);
+        }
+
+        profiles[id] = {
+            // Relative paths are relative to the config file, bare names are looked up on PATH
+            executable: /[\\/]/.test(executable) ? path.resolve(configDir, executable) : executable,
+            args: (profile.args || []).map(String),
+            // Emulators start in the config's folder, so profile args can name files beside it
+            cwd: configDir
+        };
+    }
+
+    return {
+        port: config.port || DEFAULT_PORT,
+        origins: config.origins || DEFAULT_ORIGINS,
+        profiles
+    };
+}
+
+/**
+ * Check whether a page origin may use the helper
+ * Origins must match a listed one exactly, port included
+ * @param {string|undefined} origin - Origin header
+ * @param {Array<string>} allowed - Allowed origins from the config
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin, allowed) {
+    // Requests without an Origin don't come from a web page (e.g. curl)
+    if (origin === undefined) return true;
+
+    // Any site can send "null" from a sandboxed frame or data: page, so it's never trusted
+    if (origin === 'null') return false;
+
+    return allowed.includes(origin);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Object>}
+ * @throws {HelperError} If the body isn't sent as JSON
+ */
+function readJson(req) {
+    // Requiring JSON makes browsers send a CORS preflight, which checks the origin first
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+        return Promise.reject(new HelperError(415, 'Requests must be sent as application/json'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HelperError(413, 'Request too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            } catch (error) {
+                reject(new HelperError(400, 'Request body is not valid JSON'));
+                return;
+            }
+
+            if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new HelperError(400, 'Request body must be a JSON object'));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Start a program detached from the helper, resolving once it has started
+ * @param {string} executable - Program to run
+ * @param {Array<string>} args - Its arguments
+ * @param {Object} options - Extra spawn options (e.g. cwd)
+ * @returns {Promise<number>} The process ID
+ */
+function startProcess(executable, args, options = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(executable, args, { ...options, detached: true, stdio: 'ignore' });
+
+        child.once('error', error => reject(new HelperError(500, `Could not start ${executable}: ${error.message}`)));
+        child.once('spawn', () => {
+            child.unref();
+            resolve(child.pid);
+        });
+    });
+}
+
+/**
+ * Run a whitelisted emulator profile
+ * @param {Object} config - Helper config
+ * @param {Object} body - { profileId, args }
+ * @returns {Promise<Object>} { pid }
+ */
+async function launch(config, body) {
+    // Own properties only, so names like "__proto__" can't reach inherited ones
+    const profile = typeof body.profileId === 'string' && Object.hasOwn(config.profiles, body.profileId)
+        ? config.profiles[body.profileId]
+        : null;
+    if (!profile) {
+        throw new HelperError(403, `Profile "${body.profileId}" is not enabled in the launch helper`);
+    }
+
+    const args = body.args;
+    if (!Array.isArray(args) || args.length > MAX_ARGUMENTS || !args.every(arg => typeof arg === 'string')) {
+        throw new HelperError(400, 'Arguments must be a list of strings');
+    }
+
+    const pid = await startProcess(profile.executable, [...profile.args, ...args], { cwd: profile.cwd });
+    console.log(`Launched ${body.profileId} (pid ${pid}): ${args.join(' ')}`);
+    return { pid };
+}
+
+/**
+ * Show a folder in the system file manager
+ * @param {Object} body - { path } of a folder, or of a file to show its folder
+ * @returns {Promise<Object>} { path } of the folder opened
+ */
+async function openFolder(body) {
+    if (typeof body.path !== 'string' || !path.isAbsolute(body.path)) {
+        throw new HelperError(400, 'Path must be an absolute path');
+    }
+
+    let stats;
+    try {
+        stats = await fs.promises.stat(body.path);
+    } catch (error) {
+        throw new HelperError(404, `Not found: ${body.path}`);
+    }
+
+    const folder = stats.isDirectory() ? body.path : path.dirname(body.path);
+    const opener = {
+        win32: 'explorer.exe',
+        darwin: 'open'
+    }[process.platform] || 'xdg-open';
+
+    await startProcess(opener, [folder]);
+    return { path: folder };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response data
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the helper's HTTP server
+ * @param {Object} config - Helper config from loadConfig()
+ * @returns {http.Server}
+ */
+function createServer(config) {
+    return http.createServer(async (req, res) => {
+        const origin = req.headers.origin;
+        if (!isAllowedOrigin(origin, config.origins)) {
+            sendJson(res, 403, { ok: false, error: `Origin ${origin} is not allowed` });
+            return;
+        }
+
+        if (origin !== undefined) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, POST',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                // Answers Chrome's Private Network Access preflight for localhost
+                'Access-Control-Allow-Private-Network': 'true'
+            });
+            res.end();
+            return;
+        }
+
+        try {
+            const route = `${req.method} ${req.url}`;
+            if (route === 'GET /status') {
+                sendJson(res, 200, { ok: true, version: VERSION, profiles: Object.keys(config.profiles) });
+            } else if (route === 'POST /launch') {
+                sendJson(res, 200, { ok: true, ...await launch(config, await readJson(req)) });
+            } else if (route === 'POST /open-folder') {
+                sendJson(res, 200, { ok: true, ...await openFolder(await readJson(req)) });
+            } else {
+                sendJson(res, 404, { ok: false, error: `Unknown request: ${route}` });
+            }
+        } catch (error) {
+            if (!(error instanceof HelperError)) {
+                console.error(error);
+            }
+            sendJson(res, error.status || 500, { ok: false, error: error.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    try {
+        const options = parseOptions(process.argv.slice(2));
+        const config = loadConfig(options.configPath);
+        const port = options.port || config.port;
+
+        // Bound to loopback only; the helper is never reachable from other machines
+        createServer(config).listen(port, '127.0.0.1', () => {
+            console.log(`C64 Cataloger launch helper listening on http://127.0.0.1:${port}`);
+            console.log(`Enabled profiles: ${Object.keys(config.profiles).join(', ') || '(none)'}`);
+        });
+    } catch (error) {
+        console.error(`Launch helper failed to start: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { createServer, loadConfig, isAllowedOrigin, DEFAULT_PORT };
@@ -0,0 +1,426 @@
+/**
+ * C64 Cataloger - Launcher Module
+ * Named emulator launch profiles and the commands built from their templates
+ */
+
+const Launcher = {
+    // Built-in profiles; executables and arguments can be edited in Settings
+    // {autostart} expands to the profile's flag for the media type (or its default)
+    // {playlist} expands to the profile's playlist flag and the game's saved fliplist, if any
+    DEFAULT_PROFILES: [
+        {
+            id: 'x64sc',
+            name: 'VICE x64sc',
+            executable: 'x64sc',
+            arguments: '-model {model} {playlist} {autostart} "{file}"',
+            autostart: { default: '-autostart' },
+            playlist: '-flipname',
+            vice: true
+        },
+        {
+            id: 'x64',
+            name: 'VICE x64',
+            executable: 'x64',
+            arguments: '-model {model} {playlist} {autostart} "{file}"',
+            autostart: { default: '-autostart' },
+            playlist: '-flipname',
+            vice: true
+        },
+        {
+            id: 'x128',
+            name: 'VICE x128',
+            executable: 'x128',
+            arguments: '-{videoStandard} {playlist} {autostart} "{file}"',
+            autostart: { default: '-autostart' },
+            playlist: '-flipname',
+            vice: true
+        },
+        {
+            id: 'vice-cart',
+            name: 'VICE x64sc (cartridge)',
+            executable: 'x64sc',
+            arguments: '-model {model} {autostart} "{file}"',
+            autostart: { default: '-autostart', cart: '-cartcrt' },
+            vice: true
+        },
+        {
+            id: 'ccs64',
+            name: 'CCS64',
+            executable: 'CCS64.exe',
+            arguments: '"{file}"',
+            autostart: { default: '' }
+        },
+        {
+            id: 'hoxs64',
+            name: 'Hoxs64',
+            executable: 'hoxs64.exe',
+            arguments: '{autostart} "{file}"',
+            autostart: { default: '-autoload' }
+        }
+    ],
+
+    // Profile used for each media type unless Settings or the entry says otherwise
+    DEFAULT_TYPE_PROFILES: {
+        disk: 'x64sc',
+        tape: 'x64sc',
+        program: 'x64sc',
+        container: 'x64sc',
+        cart: 'vice-cart'
+    },
+
+    // Media types that can be given a default profile, with display names
+    MEDIA_TYPES: {
+        disk: 'Disk images',
+        tape: 'Tapes',
+        program: 'Programs',
+        container: 'T64 containers',
+        cart: 'Cartridges'
+    },
+
+    PLACEHOLDER_PATTERN: /\{(file|type|model|videoStandard|autostart|playlist)\}/g,
+
+    // Header VICE expects at the top of a fliplist
+    FLIPLIST_HEADER: '# Vice fliplist file',
+
+    // Drive the fliplist's disks are swapped in
+    FLIPLIST_UNIT: 8,
+
+    // How long to wait for the launch helper before falling back to the clipboard
+    HELPER_TIMEOUT_MS: 3000,
+
+    /**
+     * Get the launch profiles from settings, falling back to the built-in ones
+     * Catalogs from before profiles existed carry a single emulatorPath, which
+     * becomes the VICE folder
+     * @param {Object} settings - Catalog settings
+     * @returns {Array<Object>}
+     */
+    getProfiles(settings) {
+        if (settings.launchProfiles && settings.launchProfiles.length > 0) {
+            return settings.launchProfiles;
+        }
+
+        return this.DEFAULT_PROFILES.map(profile => ({
+            ...profile,
+            executable: profile.vice && settings.emulatorPath
+                ? this._viceSibling(settings.emulatorPath, profile.executable)
+                : profile.executable
+        }));
+    },
+
+    /**
+     * Get a profile by ID
+     * @param {Object} settings - Catalog settings
+     * @param {string} id - Profile ID
+     * @returns {Object|null}
+     */
+    getProfile(settings, id) {
+        return this.getProfiles(settings).find(profile => profile.id === id) || null;
+    },
+
+    /**
+     * Get the default profile for a media type
+     * @param {Object} settings - Catalog settings
+     * @param {string} type - Media type from Scanner.getFileType()
+     * @returns {Object}
+     */
+    getDefaultProfile(settings, type) {
+        const defaults = settings.launchDefaults || {};
+        return this.getProfile(settings, defaults[type]) ||
+            this.getProfile(settings, this.DEFAULT_TYPE_PROFILES[type]) ||
+            this.getProfiles(settings)[0];
+    },
+
+    /**
+     * Get the profile an entry launches with: its own override or its type's default
+     * @param {Object} entry - Catalog entry
+     * @param {Object} variant - Variant being launched
+     * @param {Object} settings - Catalog settings
+     * @returns {Object}
+     */
+    getProfileFor(entry, variant, settings) {
+        return (entry.launchProfileId && this.getProfile(settings, entry.launchProfileId)) ||
+            this.getDefaultProfile(settings, Scanner.getFileType(variant.extension));
+    },
+
+    /**
+     * Work out the placeholder values that describe a variant's media
+     * @param {Object} variant - Catalog variant
+     * @returns {Object} { type, model, videoStandard }
+     */
+    getMediaInfo(variant) {
+        const nameInfo = variant.nameInfo || {};
+        const tapeStandard = variant.tapeInfo && variant.tapeInfo.videoStandard;
+        const ntsc = /NTSC/i.test(nameInfo.videoStandard || tapeStandard || '');
+        const c128 = /^C128$/i.test(nameInfo.system || '');
+
+        return {
+            type: Scanner.getFileType(variant.extension),
+            model: c128 ? 'c128' : (ntsc ? 'c64ntsc' : 'c64'),
+            videoStandard: ntsc ? 'ntsc' : 'pal'
+        };
+    },
+
+    /**
+     * Get the full path of a variant on disk
+     * Files inside archives are launched through the outermost archive, which
+     * VICE opens itself
+     * @param {Object} variant - Catalog variant
+     * @returns {string}
+     * @throws {Error} If the folder's location on disk isn't known
+     */
+    getFilePath(variant) {
+        const root = variant.rootId ? Roots.getRoot(variant.rootId) : null;
+        if (!root) {
+            throw new Error('The folder this file was scanned from is no longer known');
+        }
+        if (!root.diskPath) {
+            throw new Error(`Set where "${root.name}" is on disk in Settings > Scanned Folders`);
+        }
+
+        const relativePath = Scanner.getOuterArchivePath(variant.originalPath) || variant.originalPath;
+        return this.joinPath(root.diskPath, relativePath);
+    },
+
+    /**
+     * Get the paths a playlist lists for each disk of a set
+     * Games in the library list their library copies; disks whose folder has
+     * no known location on disk are listed by filename, for playlists kept
+     * next to the disks
+     * @param {Array<Object>} disks - Variants from Catalog.getDiskSet()
+     * @param {Array<string>|null} libraryPaths - Library path of each disk, if the game is in the library
+     * @returns {Array<string>}
+     * @throws {Error} If several disks are inside the same archive
+     */
+    getPlaylistPaths(disks, libraryPaths = null) {
+        if (libraryPaths) {
+            const root = Roots.getLibraryRoot();
+            return libraryPaths.map(libraryPath => (root && root.diskPath
+                ? this.joinPath(root.diskPath, libraryPath)
+                : libraryPath.split('/').pop()));
+        }
+
+        const paths = disks.map(disk => {
+            try {
+                return this.getFilePath(disk);
+            } catch (error) {
+                return disk.filename;
+            }
+        });
+
+        // Archived disks are launched through their archive, so the emulator couldn't tell them apart
+        if (new Set(paths).size < paths.length) {
+            throw new Error('The disks of this set are inside one archive; copy the game to the library to build its playlist');
+        }
+        return paths;
+    },
+
+    /**
+     * Build a VICE fliplist (.vfl) for drive 8
+     * @param {Array<string>} paths - Disk paths in order
+     * @returns {string}
+     */
+    buildFliplist(paths) {
+        return [this.FLIPLIST_HEADER, '', `UNIT ${this.FLIPLIST_UNIT}`, ...paths, ''].join('\n');
+    },
+
+    /**
+     * Build an M3U playlist, as read by RetroArch and most other emulators
+     * @param {Array<string>} paths - Disk paths in order
+     * @returns {string}
+     */
+    buildM3u(paths) {
+        return [...paths, ''].join('\n');
+    },
+
+    /**
+     * Get the full path of an entry's fliplist saved in the library
+     * @param {Object} entry - Catalog entry
+     * @returns {string|null} Null if there's none or the library's location isn't known
+     */
+    getPlaylistFilePath(entry) {
+        const root = Roots.getLibraryRoot();
+        if (!entry.playlistPath || !root || !root.diskPath) return null;
+        return this.joinPath(root.diskPath, entry.playlistPath);
+    },
+
+    /**
+     * Join a folder path typed by the user with a scanner path
+     * Windows-style folders get backslashes throughout
+     * @param {string} base - Folder path on disk
+     * @param {string} relativePath - Slash-separated path below it
+     * @returns {string}
+     */
+    joinPath(base, relativePath) {
+        const separator = base.includes('\\') ? '\\' : '/';
+        return base.replace(/[\\/]+$/, '') + separator + relativePath.split('/').join(separator);
+    },
+
+    /**
+     * Build the command line for a profile
+     * @param {Object} profile - Launch profile
+     * @param {Object} values - { file, type, model, videoStandard, playlist }
+     * @returns {string}
+     */
+    buildCommand(profile, values) {
+        const args = this._expandArguments(profile, values)
+            .map(arg => (arg.quoted ? `"${arg.value}"` : arg.value))
+            .join(' ');
+
+        return `"${profile.executable}" ${args}`.trim();
+    },
+
+    /**
+     * Build the argument list for a profile, one string per argument
+     * Used by the launch helper, which runs the emulator without a shell
+     * @param {Object} profile - Launch profile
+     * @param {Object} values - { file, type, model, videoStandard, playlist }
+     * @returns {Array<string>}
+     */
+    buildArguments(profile, values) {
+        return this._expandArguments(profile, values).map(arg => arg.value);
+    },
+
+    /**
+     * Build the launch command for a variant of an entry
+     * A disk of a multi-disk set starts from the set's first disk, with the
+     * saved fliplist attached so the emulator can swap to the others
+     * Files with no known scan root (catalogs from before roots existed, or
+     * imported ones) are launched by their recorded path, with a warning
+     * @param {Object} entry - Catalog entry
+     * @param {Object} variant - Variant to launch
+     * @param {Object} settings - Catalog settings
+     * @returns {Object} { command, args, profile, warning }
+     * @throws {Error} If the scan root's location on disk isn't set
+     */
+    getLaunchCommand(entry, variant, settings) {
+        const profile = this.getProfileFor(entry, variant, settings);
+        const disks = Catalog.getDiskSet(entry, variant);
+        const rootKnown = disks[0].rootId && Roots.getRoot(disks[0].rootId);
+        const values = {
+            file: rootKnown ? this.getFilePath(disks[0]) : disks[0].originalPath,
+            ...this.getMediaInfo(disks[0]),
+            playlist: disks.length > 1 ? this.getPlaylistFilePath(entry) : null
+        };
+        return {
+            command: this.buildCommand(profile, values),
+            args: this.buildArguments(profile, values),
+            profile,
+            warning: rootKnown ? null : 'the file path is relative to the folder it was scanned from'
+        };
+    },
+
+    /**
+     * Send a request to the launch helper (helper/launch-helper.js)
+     * @param {Object} settings - Catalog settings
+     * @param {string} route - '/launch' or '/open-folder'
+     * @param {Object} body - Request data
+     * @returns {Promise<Object|null>} The helper's reply, or null if it isn't running
+     * @throws {Error} If the helper refused the request
+     */
+    async callHelper(settings, route, body) {
+        const url = (settings.launchHelperUrl || '').replace(/\/+$/, '');
+        if (!url) return null;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.HELPER_TIMEOUT_MS);
+
+        let response;
+        try {
+            response = await fetch(url + route, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            // Not running, or blocked by the browser: the clipboard still works
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const reply = await response.json().catch(() => ({}));
+        if (!response.ok || !reply.ok) {
+            throw new Error(reply.error || `Launch helper error ${response.status}`);
+        }
+        return reply;
+    },
+
+    /**
+     * Start a launch command through the launch helper
+     * @param {Object} launch - From getLaunchCommand()
+     * @param {Object} settings - Catalog settings
+     * @returns {Promise<boolean>} False if the helper isn't running
+     * @throws {Error} If the helper refused to launch
+     */
+    async launchWithHelper(launch, settings) {
+        const reply = await this.callHelper(settings, '/launch', {
+            profileId: launch.profile.id,
+            args: launch.args
+        });
+        return reply !== null;
+    },
+
+    /**
+     * Show a variant's folder in the system file manager through the launch helper
+     * @param {Object} variant - Catalog variant
+     * @param {Object} settings - Catalog settings
+     * @returns {Promise<boolean>} False if the helper isn't running
+     * @throws {Error} If the location isn't known or the helper refused
+     */
+    async openFolderWithHelper(variant, settings) {
+        const reply = await this.callHelper(settings, '/open-folder', { path: this.getFilePath(variant) });
+        return reply !== null;
+    },
+
+    /**
+     * Substitute a profile's argument template word by word, so placeholders
+     * that expand to nothing leave no gaps
+     * @private
+     * @returns {Array<Object>} [{ value, quoted }]
+     */
+    _expandArguments(profile, values) {
+        const autostart = profile.autostart || {};
+        const placeholders = {
+            ...values,
+            autostart: values.type in autostart ? autostart[values.type] : (autostart.default || ''),
+            // Only meaningful as a word of its own, handled below
+            playlist: ''
+        };
+
+        const args = [];
+        for (const word of profile.arguments.split(/\s+/)) {
+            if (word === '{playlist}') {
+                if (values.playlist && profile.playlist) {
+                    args.push({ value: profile.playlist, quoted: false }, { value: values.playlist, quoted: true });
+                }
+                continue;
+            }
+
+            // A quoted word is one argument even if its value has spaces
+            const quoted = word.length > 1 && word.startsWith('"') && word.endsWith('"');
+            const value = (quoted ? word.slice(1, -1) : word)
+                .replace(this.PLACEHOLDER_PATTERN, (match, name) => placeholders[name] || '');
+
+            if (quoted && value) {
+                args.push({ value, quoted });
+            } else {
+                value.split(/\s+/).filter(Boolean).forEach(part => args.push({ value: part, quoted: false }));
+            }
+        }
+        return args;
+    },
+
+    /**
+     * Swap the program name in a VICE executable path (".../x64sc.exe" -> ".../x128.exe")
+     * @private
+     */
+    _viceSibling(emulatorPath, name) {
+        const match = emulatorPath.match(/^(.*[\\/])?[^\\/]*?(\.exe)?$/i);
+        return `${match[1] || ''}${name}${match[2] || ''}`;
+    }
+};
+
+// Export for use in other modules
+window.Launcher = Launcher;
@@ -11,20 +11,78 @@ const Library = {
     // Type folder names mapping
     TYPE_FOLDERS: {
         '.d64': 'Disk',
+        '.d71': 'Disk',
+        '.d81': 'Disk',
+        '.g64': 'Disk',
         '.tap': 'Tape',
-        '.crt': 'Cart'
+        '.crt': 'Cart',
+        '.prg': 'Program',
+        '.p00': 'Program',
+        '.t64': 'T64'
     },
 
+    // Layout used until the user picks another: Type/Letter/GameName/file
+    DEFAULT_TEMPLATE: '{type}/{letter}/{title}/{filename}',
+
+    // Placeholders a layout template can use, with what they stand for
+    TEMPLATE_TOKENS: {
+        type: 'Media folder (Disk, Tape, Cart, ...)',
+        letter: 'First letter of the title, or #',
+        title: 'Game title',
+        publisher: 'Publisher',
+        developer: 'Developer',
+        year: 'Release year',
+        genre: 'Genre',
+        disk: 'Disk and side of a multi-disk set',
+        filename: 'Original file name',
+        name: 'Original file name without its extension',
+        ext: 'File extension (d64, tap, ...)'
+    },
+
+    // Written to the top of the library by writeManifest()
+    MANIFEST_FILENAME: 'c64-library.json',
+
+    // Metadata kept beside a game's files, read back by imports
+    SIDECAR_FILENAME: 'game.json',
+    SIDECAR_VERSION: 1,
+
     /**
-     * Initialize library from stored settings
+     * Initialize library state
+     * The folder handle itself is restored from IndexedDB by restore()
      */
     init() {
-        // Library handle cannot be persisted across sessions
-        // User will need to re-select the folder on each session
         this.enabled = false;
         this.directoryHandle = null;
     },
 
+    /**
+     * Restore the library folder saved in a previous session
+     * The library stays unavailable until read/write access is granted again
+     * @returns {Promise<boolean>} Whether the library is ready to use
+     */
+    async restore() {
+        const root = Roots.getLibraryRoot();
+        if (!root) return false;
+
+        this.directoryHandle = root.handle;
+        this.enabled = await Roots.queryPermission(root) === 'granted';
+        return this.enabled;
+    },
+
+    /**
+     * Ask for access to the restored library folder again
+     * Must be called from a user gesture (click)
+     * @returns {Promise<boolean>} Whether the library is ready to use
+     */
+    async reconnect() {
+        const root = Roots.getLibraryRoot();
+        if (!root) return false;
+
+        this.directoryHandle = root.handle;
+        this.enabled = await Roots.requestPermission(root);
+        return this.enabled;
+    },
+
     /**
      * Pick a directory for the local library
      * @returns {Promise<FileSystemDirectoryHandle|null>}
@@ -41,6 +99,7 @@ const Library = {
             });
 
             this.enabled = true;
+            await Roots.setLibraryRoot(this.directoryHandle);
             return this.directoryHandle;
         } catch (error) {
             if (error.name === 'AbortError') {
@@ -58,6 +117,14 @@ const Library = {
         return this.enabled && this.directoryHandle !== null;
     },
 
+    /**
+     * Check if a library folder is chosen, even if it still needs reconnecting
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return this.directoryHandle !== null;
+    },
+
     /**
      * Get the library folder name for display
      * @returns {string}
@@ -68,7 +135,7 @@ const Library = {
 
     /**
      * Get the folder name for a file type
-     * @param {string} extension - File extension (.d64, .tap, .crt)
+     * @param {string} extension - File extension (.d64, .tap, .crt, ...)
      * @returns {string} Folder name
      */
     getTypeFolderName(extension) {
@@ -111,59 +178,232 @@ const Library = {
         return await parent.getDirectoryHandle(name, { create: true });
     },
 
+    /**
+     * Get the layout template new library files are placed with
+     * @returns {string}
+     */
+    getTemplate() {
+        return Catalog.getSettings().libraryTemplate || this.DEFAULT_TEMPLATE;
+    },
+
+    /**
+     * Check a layout template
+     * @param {string} template - Template such as "{publisher}/{year}/{title}/{filename}"
+     * @returns {string|null} What's wrong with it, or null if it's usable
+     */
+    validateTemplate(template) {
+        if (!template || !template.trim()) {
+            return 'Enter a layout template';
+        }
+
+        for (const [, token] of template.matchAll(/\{(\w*)\}/g)) {
+            if (!(token in this.TEMPLATE_TOKENS)) {
+                return `Unknown placeholder {${token}}`;
+            }
+        }
+
+        const segments = template.trim().split('/');
+        if (segments.some(segment => !segment.trim() || segment.trim() === '..')) {
+            return 'Folder names can\'t be empty or ".."';
+        }
+
+        if (!/\{(title|filename|name)\}/.test(template)) {
+            return 'Include {title} or {filename} so games don\'t overwrite each other';
+        }
+
+        return null;
+    },
+
+    /**
+     * Fill in a layout template
+     * Each placeholder is made safe for a file name, brackets left empty by a
+     * missing value are dropped, and a folder that ends up empty is "Unknown"
+     * @param {string} template - A valid layout template
+     * @param {Object} values - Value per placeholder name
+     * @returns {string} Path within the library
+     */
+    expandTemplate(template, values) {
+        return template.trim().split('/').map(segment => {
+            const expanded = segment
+                .replace(/\{(\w+)\}/g, (match, token) => this.sanitizeName(String(values[token] || '')))
+                .replace(/\(\s*\)|\[\s*\]/g, '')
+                .replace(/\s+/g, ' ')
+                .replace(/\s+(\.\w+)$/, '$1')
+                .replace(/^[\s.]+|[\s.]+$/g, '');
+            return expanded || 'Unknown';
+        }).join('/');
+    },
+
+    /**
+     * Work out where a file goes in the library
+     * @param {Object} entry - Catalog entry (title, publisher, year, ...)
+     * @param {Object} variant - The file's variant of the entry
+     * @param {string} template - Layout template (defaults to the current one)
+     * @returns {Object} { libraryPath, folder, filename }
+     */
+    getTargetPath(entry, variant, template = this.getTemplate()) {
+        const extension = variant.extension || '';
+        const filename = variant.filename || `${entry.gameName}${extension}`;
+        const diskInfo = Scanner.getDiskInfo(filename);
+
+        const libraryPath = this.expandTemplate(this._getFileTemplate(template, diskInfo), {
+            type: this.getTypeFolderName(extension),
+            letter: this.getLetterFolder(entry.gameName),
+            title: entry.gameName,
+            publisher: entry.publisher,
+            developer: entry.developer,
+            year: entry.year,
+            genre: entry.genre,
+            disk: diskInfo ? Scanner.describeDisk(diskInfo) : '',
+            filename,
+            name: filename.slice(0, filename.length - extension.length),
+            ext: extension.replace(/^\./, '')
+        });
+
+        return {
+            libraryPath,
+            folder: this.getGameFolderPath(libraryPath),
+            filename: libraryPath.split('/').pop()
+        };
+    },
+
+    /**
+     * Get the template a file is actually placed with
+     * A file name without {filename} or {ext} keeps the original extension, and
+     * disks of a set need distinct names even if the template doesn't use the file name
+     * @private
+     */
+    _getFileTemplate(template, diskInfo) {
+        let fileTemplate = template.trim();
+        if (!/\{(filename|ext)\}[^/]*$/.test(fileTemplate)) {
+            fileTemplate += '.{ext}';
+        }
+        if (diskInfo && !/\{(filename|name|disk)\}[^/]*$/.test(fileTemplate)) {
+            return fileTemplate.replace(/(\.?\{ext\})?([^/{]*)$/, ' ({disk})$1$2');
+        }
+        return fileTemplate;
+    },
+
+    /**
+     * Read placeholder values back from a library path laid out with a template
+     * Best effort: values that were empty ("Unknown") or dropped can't be recovered
+     * @param {string} template - Layout template the library was written with
+     * @param {string} libraryPath - Path of a file in the library
+     * @returns {Object|null} Value per placeholder, or null if the path doesn't fit the template
+     */
+    parsePath(template, libraryPath) {
+        const fileTemplate = this._getFileTemplate(template, Scanner.getDiskInfo(libraryPath));
+        const tokens = [];
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        // A placeholder alone in brackets may have been dropped along with them
+        const pattern = fileTemplate.split(/(\s*\(\{\w+\}\)|\s*\[\{\w+\}\]|\{\w+\})/).map(part => {
+            const token = /^(\s*[([])?\{(\w+)\}([)\]])?$/.exec(part);
+            if (!token) {
+                return escape(part);
+            }
+            tokens.push(token[2]);
+            return token[1]
+                ? `(?:${escape(token[1])}([^/]+?)${escape(token[3])})?`
+                : '([^/]+?)';
+        }).join('');
+
+        const match = new RegExp(`^${pattern}$`).exec(libraryPath);
+        if (!match) return null;
+
+        const values = {};
+        tokens.forEach((token, i) => {
+            if (match[i + 1] && match[i + 1] !== 'Unknown' && !(token in values)) {
+                values[token] = match[i + 1];
+            }
+        });
+        return values;
+    },
+
+    /**
+     * Check whether a layout gives every game a folder of its own
+     * Sidecars are only written into such folders
+     * @param {string} template - Layout template
+     * @returns {boolean}
+     */
+    hasGameFolders(template) {
+        return this.getGameFolderPath(template).includes('{title}');
+    },
+
+    /**
+     * Join a folder and a name into a library path
+     * @param {string} folder - Folder path, empty for the library's top level
+     * @param {string} name - File or folder name
+     * @returns {string}
+     */
+    joinPath(folder, name) {
+        return folder ? `${folder}/${name}` : name;
+    },
+
     /**
      * Add a file to the library
-     * @param {Object} fileInfo - File information
+     * @param {Object} entry - Catalog entry the file belongs to
+     * @param {Object} variant - The file's variant of the entry
      * @param {ArrayBuffer|Blob} fileData - The file data to write
-     * @param {string} gameName - The game name for folder organization
-     * @param {string} extension - File extension
-     * @returns {Promise<Object>} Object with libraryPath info
+     * @returns {Promise<Object>} Where the file went, from getTargetPath()
      */
-    async addToLibrary(fileInfo, fileData, gameName, extension) {
+    async addToLibrary(entry, variant, fileData) {
         if (!this.isAvailable()) {
             throw new Error('Library not available');
         }
 
-        const typeFolder = this.getTypeFolderName(extension);
-        const letterFolder = this.getLetterFolder(gameName);
-        const gameFolder = this.sanitizeName(gameName);
-        const filename = this.sanitizeName(fileInfo.name ||
-            `${gameFolder}${extension}`);
+        const target = this.getTargetPath(entry, variant);
 
         try {
-            // Create folder structure: Type/Letter/GameName/
-            const typeDir = await this.getOrCreateDirectory(
-                this.directoryHandle, typeFolder);
-            const letterDir = await this.getOrCreateDirectory(
-                typeDir, letterFolder);
-            const gameDir = await this.getOrCreateDirectory(
-                letterDir, gameFolder);
-
-            // Create the file
-            const fileHandle = await gameDir.getFileHandle(filename,
-                { create: true });
-            const writable = await fileHandle.createWritable();
-
-            // Write data
-            if (fileData instanceof ArrayBuffer) {
-                await writable.write(new Blob([fileData]));
-            } else {
-                await writable.write(fileData);
-            }
-            await writable.close();
-
-            // Return the library path info
-            return {
-                libraryPath: `${typeFolder}/${letterFolder}/${gameFolder}/${filename}`,
-                typeFolder,
-                letterFolder,
-                gameFolder,
-                filename
-            };
+            await this.writeFile(target.libraryPath, fileData);
         } catch (error) {
             console.error('Error adding file to library:', error);
             throw error;
         }
+
+        // The file is in place; a sidecar that fails to write is only out of date
+        try {
+            await this.writeSidecar(entry, target.folder);
+        } catch (error) {
+            console.warn(`Could not write the library sidecar of ${entry.gameName}:`, error);
+        }
+
+        return target;
+    },
+
+    /**
+     * Write a file at a path within the library, creating its folders
+     * @param {string} libraryPath - Path within the library
+     * @param {ArrayBuffer|Blob|string} data - The file contents
+     * @returns {Promise<string>} The library path
+     */
+    async writeFile(libraryPath, data) {
+        if (!this.isAvailable()) {
+            throw new Error('Library not available');
+        }
+
+        const parts = libraryPath.split('/');
+        let current = this.directoryHandle;
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            current = await this.getOrCreateDirectory(current, parts[i]);
+        }
+
+        const fileHandle = await current.getFileHandle(parts[parts.length - 1], { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(data instanceof ArrayBuffer ? new Blob([data]) : data);
+        await writable.close();
+
+        return libraryPath;
+    },
+
+    /**
+     * Get the game folder part of a library path ("Disk/L/Game/Game.d64" -> "Disk/L/Game")
+     * @param {string} libraryPath - Path of a file in the library
+     * @returns {string}
+     */
+    getGameFolderPath(libraryPath) {
+        return libraryPath.split('/').slice(0, -1).join('/');
     },
 
     /**
@@ -188,6 +428,108 @@ const Library = {
         return await fileHandle.getFile();
     },
 
+    /**
+     * Read a file from the library if it's there
+     * @param {string} libraryPath - Path within the library
+     * @returns {Promise<File|null>} The file, or null if it doesn't exist
+     */
+    async findFile(libraryPath) {
+        try {
+            return await this.getFile(libraryPath);
+        } catch (error) {
+            if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+                return null;
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Move a file to another path within the library
+     * If the destination already holds the same content the source is just removed
+     * @param {string} fromPath - Current path within the library
+     * @param {string} toPath - New path within the library
+     * @returns {Promise<void>}
+     * @throws {Error} If a different file is already at the destination
+     */
+    async moveFile(fromPath, toPath) {
+        if (fromPath === toPath) return;
+
+        const file = await this.getFile(fromPath);
+        const existing = await this.findFile(toPath);
+
+        if (existing) {
+            const [sourceHash, existingHash] = await Promise.all([
+                Hash.sha1(await file.arrayBuffer()),
+                Hash.sha1(await existing.arrayBuffer())
+            ]);
+            if (sourceHash !== existingHash) {
+                throw new Error(`A different file is already in the library at ${toPath}`);
+            }
+        } else {
+            await this.writeFile(toPath, file);
+        }
+
+        await this.removeFile(fromPath);
+    },
+
+    /**
+     * Delete a file from the library, along with folders it leaves empty
+     * @param {string} libraryPath - Path within the library
+     * @returns {Promise<void>}
+     */
+    async removeFile(libraryPath) {
+        if (!this.isAvailable()) {
+            throw new Error('Library not available');
+        }
+
+        const parts = libraryPath.split('/');
+        const folders = [this.directoryHandle];
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            folders.push(await folders[i].getDirectoryHandle(parts[i]));
+        }
+
+        await folders[folders.length - 1].removeEntry(parts[parts.length - 1]);
+
+        // Walk back up, removing folders until one still has something in it
+        for (let i = folders.length - 1; i > 0; i--) {
+            const { done } = await folders[i].values().next();
+            if (!done) break;
+            await folders[i - 1].removeEntry(parts[i - 1]);
+        }
+    },
+
+    /**
+     * List everything in the library
+     * @returns {Promise<Object>} { files: Map of library path -> FileSystemFileHandle, folders: Set of folder paths }
+     */
+    async listContents() {
+        if (!this.isAvailable()) {
+            throw new Error('Library not available');
+        }
+
+        const contents = { files: new Map(), folders: new Set() };
+        await this._listRecursive(this.directoryHandle, '', contents);
+        return contents;
+    },
+
+    /**
+     * Collect files and folders below a library folder
+     * @private
+     */
+    async _listRecursive(dirHandle, path, contents) {
+        for await (const entry of dirHandle.values()) {
+            const entryPath = this.joinPath(path, entry.name);
+            if (entry.kind === 'directory') {
+                contents.folders.add(entryPath);
+                await this._listRecursive(entry, entryPath, contents);
+            } else if (entry.kind === 'file') {
+                contents.files.set(entryPath, entry);
+            }
+        }
+    },
+
     /**
      * Get library statistics
      * @returns {Promise<Object>} Stats object with counts and size
@@ -201,18 +543,10 @@ const Library = {
         let totalSize = 0;
 
         try {
-            // Count files in each type folder
-            for (const typeFolder of Object.values(this.TYPE_FOLDERS)) {
-                try {
-                    const typeDir = await this.directoryHandle
-                        .getDirectoryHandle(typeFolder);
-                    const stats = await this._countFilesRecursive(typeDir);
-                    gameCount += stats.count;
-                    totalSize += stats.size;
-                } catch (e) {
-                    // Folder doesn't exist yet, skip
-                }
-            }
+            // The layout is user-defined, so count C64 files anywhere in the library
+            const stats = await this._countFilesRecursive(this.directoryHandle);
+            gameCount = stats.count;
+            totalSize = stats.size;
         } catch (error) {
             console.error('Error getting library stats:', error);
         }
@@ -236,7 +570,7 @@ const Library = {
             } else if (entry.kind === 'file') {
                 const file = await entry.getFile();
                 // Only count C64 files
-                if (/\.(d64|tap|crt)$/i.test(file.name)) {
+                if (Scanner.isSupportedFile(file.name)) {
                     count++;
                     size += file.size;
                 }
@@ -267,17 +601,116 @@ const Library = {
         return {
             libraryName: this.getLibraryName(),
             enabled: this.enabled,
-            structure: 'Type/Letter/GameName/file',
+            structure: this.getTemplate(),
             typeFolders: this.TYPE_FOLDERS
         };
     },
 
     /**
-     * Disable the library
+     * Read the manifest a previous session wrote to the library
+     * @returns {Promise<Object|null>} The manifest, or null if there's none or it can't be read
+     */
+    async readManifest() {
+        return await this._readJson(this.MANIFEST_FILENAME);
+    },
+
+    /**
+     * Read the metadata sidecar of a game folder
+     * @param {string} folder - Game folder path within the library
+     * @returns {Promise<Object|null>} The sidecar's contents, or null if there's none or it can't be read
+     */
+    async readSidecar(folder) {
+        return await this._readJson(this.joinPath(folder, this.SIDECAR_FILENAME));
+    },
+
+    /**
+     * Build the sidecar describing a game and the files it has in the library
+     * @param {Object} entry - Catalog entry
+     * @returns {Object}
+     */
+    buildSidecar(entry) {
+        const sidecar = { version: this.SIDECAR_VERSION };
+        for (const field of Metadata.EDITABLE_FIELDS) {
+            sidecar[field] = entry[field] || '';
+        }
+
+        return {
+            ...sidecar,
+            boxArtUrl: entry.boxArtUrl || null,
+            tags: entry.tags || [],
+            notes: entry.notes || '',
+            files: Catalog.getDiskSet(entry, Catalog.getPreferredVariant(entry)).map(variant => ({
+                filename: variant.filename,
+                fileSize: variant.fileSize,
+                hashes: variant.hashes,
+                diskDirectory: variant.diskDirectory
+            }))
+        };
+    },
+
+    /**
+     * Write a game's sidecar into its library folder
+     * Does nothing when the layout doesn't give games their own folders
+     * @param {Object} entry - Catalog entry
+     * @param {string} folder - Game folder (defaults to the one holding entry.libraryPath)
+     * @returns {Promise<string|null>} The sidecar's library path, or null if none was written
+     */
+    async writeSidecar(entry, folder = this.getGameFolderPath(entry.libraryPath)) {
+        if (!folder || !this.hasGameFolders(this.getTemplate())) return null;
+
+        return await this.writeFile(this.joinPath(folder, this.SIDECAR_FILENAME),
+            JSON.stringify(this.buildSidecar(entry), null, 2));
+    },
+
+    /**
+     * Delete a game folder's sidecar, if it has one
+     * @param {string} folder - Game folder path within the library
+     * @returns {Promise<void>}
+     */
+    async removeSidecar(folder) {
+        const sidecarPath = this.joinPath(folder, this.SIDECAR_FILENAME);
+        if (await this.findFile(sidecarPath)) {
+            await this.removeFile(sidecarPath);
+        }
+    },
+
+    /**
+     * Read and parse a JSON file in the library
+     * @private
+     */
+    async _readJson(libraryPath) {
+        const file = await this.findFile(libraryPath);
+        if (!file) return null;
+
+        try {
+            const data = JSON.parse(await file.text());
+            return data && typeof data === 'object' ? data : null;
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${libraryPath}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Write the manifest to the top of the library, so the layout can be read back later
+     * @returns {Promise<string>} The manifest's library path
      */
-    disable() {
+    async writeManifest() {
+        return await this.writeFile(this.MANIFEST_FILENAME,
+            JSON.stringify(this.generateManifest(), null, 2));
+    },
+
+    /**
+     * Disable the library and forget its stored folder
+     * @returns {Promise<void>}
+     */
+    async disable() {
         this.enabled = false;
         this.directoryHandle = null;
+
+        if (Roots.getLibraryRoot()) {
+            await Roots.removeRoot(Roots.LIBRARY_ID);
+        }
     }
 };
 
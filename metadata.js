@@ -189,6 +189,80 @@ const Metadata = {
         return null;
     },
 
+    // Entry fields that can be edited in the detail panel
+    EDITABLE_FIELDS: [
+        'gameName', 'year', 'publisher', 'developer', 'genre',
+        'players', 'controlType', 'description', 'boxArtUrl'
+    ],
+
+    // Control types offered in the edit form
+    CONTROL_TYPES: [
+        'Joystick', 'Joystick (port 1)', 'Two joysticks', 'Keyboard',
+        'Paddles', 'Mouse', 'Light pen', 'Light gun'
+    ],
+
+    // Longest text accepted per field; descriptions can be a few paragraphs
+    MAX_FIELD_LENGTH: 200,
+    MAX_DESCRIPTION_LENGTH: 5000,
+
+    // "1987", or "198x" when only the decade is known (TOSEC style)
+    YEAR_PATTERN: /^(19|20)\d[\dx]$/i,
+
+    // "1", "1-2" or "1-4"
+    PLAYERS_PATTERN: /^\d{1,2}(-\d{1,2})?$/,
+
+    /**
+     * Validate and tidy edited metadata
+     * @param {Object} values - Field values from the edit form
+     * @returns {Object} { values, errors } with trimmed values and an error message per invalid field
+     */
+    validateFields(values) {
+        const cleaned = {};
+        const errors = {};
+
+        for (const field of this.EDITABLE_FIELDS) {
+            const value = String(values[field] || '').trim();
+            const maxLength = field === 'description' ? this.MAX_DESCRIPTION_LENGTH : this.MAX_FIELD_LENGTH;
+
+            if (value.length > maxLength) {
+                errors[field] = `At most ${maxLength} characters`;
+            }
+            cleaned[field] = value;
+        }
+
+        if (!cleaned.gameName) {
+            errors.gameName = 'A title is required';
+        }
+        if (cleaned.year && !this.YEAR_PATTERN.test(cleaned.year)) {
+            errors.year = 'Use a year like 1987, or 198x';
+        }
+        cleaned.year = cleaned.year.toLowerCase();
+
+        if (cleaned.players) {
+            const [min, max = min] = cleaned.players.split('-').map(Number);
+            if (!this.PLAYERS_PATTERN.test(cleaned.players) || min < 1 || max < min) {
+                errors.players = 'Use a number or range like 1-2';
+            }
+        }
+        if (cleaned.controlType && !this.CONTROL_TYPES.includes(cleaned.controlType)) {
+            errors.controlType = 'Unknown control type';
+        }
+
+        // Empty clears the box art
+        if (cleaned.boxArtUrl) {
+            const url = this.validateBoxArtUrl(cleaned.boxArtUrl);
+            if (url) {
+                cleaned.boxArtUrl = url;
+            } else {
+                errors.boxArtUrl = 'Must be an http:// or https:// URL';
+            }
+        } else {
+            cleaned.boxArtUrl = null;
+        }
+
+        return { values: cleaned, errors };
+    },
+
     /**
      * Clear the metadata cache
      */
@@ -0,0 +1,175 @@
+/**
+ * C64 Cataloger - Program File Module
+ * Parses standalone program files (PRG, P00) and T64 tape containers
+ */
+
+const ProgramFile = {
+    // PC64 header signature ("C64File" followed by a zero byte)
+    P00_SIGNATURE: 'C64File',
+    P00_HEADER_SIZE: 26,
+
+    // T64 header layout
+    T64_SIGNATURES: ['C64 tape image file', 'C64S tape file', 'C64S tape image file'],
+    T64_HEADER_SIZE: 64,
+    T64_ENTRY_SIZE: 32,
+
+    // Bytes of program data per disk block, used for block counts
+    BYTES_PER_BLOCK: 254,
+
+    /**
+     * Format an address as a C64-style hex string
+     * @param {number} address - 16-bit address
+     * @returns {string} e.g. "$0801"
+     */
+    formatAddress(address) {
+        return '$' + address.toString(16).toUpperCase().padStart(4, '0');
+    },
+
+    /**
+     * Parse a raw PRG file
+     * @param {ArrayBuffer} buffer - The file data
+     * @returns {Object|null} Program info or null if too short
+     */
+    parsePRG(buffer) {
+        const data = new Uint8Array(buffer);
+        if (data.length < 2) return null;
+
+        const loadAddress = data[0] | (data[1] << 8);
+
+        return {
+            format: 'prg',
+            loadAddress,
+            endAddress: loadAddress + data.length - 2,
+            c64Name: null
+        };
+    },
+
+    /**
+     * Parse a PC64 P00 file
+     * @param {ArrayBuffer} buffer - The file data
+     * @returns {Object|null} Program info or null if the header is invalid
+     */
+    parseP00(buffer) {
+        const data = new Uint8Array(buffer);
+        if (data.length < this.P00_HEADER_SIZE) return null;
+
+        const signature = String.fromCharCode(...data.subarray(0, 7));
+        if (signature !== this.P00_SIGNATURE || data[7] !== 0) return null;
+
+        // Internal C64 filename is zero-padded PETSCII
+        const nameBytes = data.subarray(8, 24);
+        const nameEnd = nameBytes.indexOf(0);
+        const c64Name = DiskImage.petsciiToString(
+            nameEnd === -1 ? nameBytes : nameBytes.subarray(0, nameEnd));
+
+        const payloadSize = data.length - this.P00_HEADER_SIZE;
+        let loadAddress = null;
+        let endAddress = null;
+        if (payloadSize >= 2) {
+            loadAddress = data[26] | (data[27] << 8);
+            endAddress = loadAddress + payloadSize - 2;
+        }
+
+        return {
+            format: 'p00',
+            loadAddress,
+            endAddress,
+            c64Name
+        };
+    },
+
+    /**
+     * Parse a T64 tape container into a directory
+     * Uses the same shape as DiskImage.parse() so it can be listed the same way
+     * @param {ArrayBuffer} buffer - The file data
+     * @returns {Object|null} Parsed directory or null if invalid
+     */
+    parseT64(buffer) {
+        const data = new Uint8Array(buffer);
+        if (data.length < this.T64_HEADER_SIZE) return null;
+
+        const signature = String.fromCharCode(...data.subarray(0, 32));
+        if (!this.T64_SIGNATURES.some(sig => signature.startsWith(sig))) return null;
+
+        const view = new DataView(buffer);
+        const version = view.getUint16(0x20, true);
+        const maxEntries = view.getUint16(0x22, true);
+        const usedEntries = view.getUint16(0x24, true);
+
+        const files = [];
+
+        // Some converters write a wrong used count, so walk every slot
+        const slots = Math.max(maxEntries, usedEntries);
+        for (let i = 0; i < slots; i++) {
+            const offset = this.T64_HEADER_SIZE + i * this.T64_ENTRY_SIZE;
+            if (offset + this.T64_ENTRY_SIZE > data.length) break;
+
+            const entry = data.subarray(offset, offset + this.T64_ENTRY_SIZE);
+            // Free slot
+            if (entry[0] === 0) continue;
+
+            const startAddress = entry[2] | (entry[3] << 8);
+            const endAddress = entry[4] | (entry[5] << 8);
+            const dataOffset = view.getUint32(offset + 8, true);
+
+            // Clamp to the real file size; many images carry a bogus end address
+            let size = endAddress - startAddress;
+            if (size <= 0 || dataOffset + size > data.length) {
+                size = Math.max(data.length - dataOffset, 0);
+            }
+
+            files.push({
+                name: this._trimT64Name(entry.subarray(0x10, 0x20)),
+                type: (entry[1] && DiskImage.FILE_TYPES[entry[1] & 0x0F]) || 'PRG',
+                blocks: Math.ceil((size + 2) / this.BYTES_PER_BLOCK),
+                closed: true,
+                locked: false,
+                loadAddress: startAddress
+            });
+        }
+
+        return {
+            format: 't64',
+            version,
+            diskName: this._trimT64Name(data.subarray(0x28, 0x40)),
+            diskId: '',
+            dosType: '',
+            freeBlocks: 0,
+            files
+        };
+    },
+
+    /**
+     * T64 names are padded with spaces (or $A0 / zero by some tools)
+     * @private
+     */
+    _trimT64Name(bytes) {
+        const cleaned = Array.from(bytes, b => (b === 0 ? 0x20 : b));
+        return DiskImage.petsciiToString(new Uint8Array(cleaned)).trimEnd();
+    },
+
+    /**
+     * Parse a standalone program file based on its extension
+     * @param {ArrayBuffer} buffer - The file data
+     * @param {string} extension - File extension (.prg, .p00)
+     * @returns {Object|null} Program info or null if unsupported/invalid
+     */
+    parse(buffer, extension) {
+        try {
+            switch (extension.toLowerCase()) {
+                case '.prg':
+                    return this.parsePRG(buffer);
+                case '.p00':
+                    return this.parseP00(buffer);
+                default:
+                    return null;
+            }
+        } catch (error) {
+            console.warn('Error parsing program file:', error);
+            return null;
+        }
+    }
+};
+
+// Export for use in other modules
+window.ProgramFile = ProgramFile;
@@ -0,0 +1,223 @@
+/**
+ * C64 Cataloger - Folder Roots Module
+ * Persists scan-root and library folder handles across sessions
+ */
+
+const Roots = {
+    // ID of the library folder record; scan roots get generated IDs
+    LIBRARY_ID: 'library',
+
+    // Loaded root records by ID: { id, kind: 'scan'|'library', name, handle, dateAdded, diskPath }
+    // diskPath is typed in by the user; browsers never reveal where a folder is
+    roots: new Map(),
+
+    /**
+     * Load all stored folder handles
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const records = await Database.getAll('handles');
+        this.roots = new Map(records.map(record => [record.id, record]));
+    },
+
+    /**
+     * Get a root by ID
+     * @param {string} id - Root ID
+     * @returns {Object|null}
+     */
+    getRoot(id) {
+        return this.roots.get(id) || null;
+    },
+
+    /**
+     * Get all scan roots
+     * @returns {Array<Object>}
+     */
+    getScanRoots() {
+        return Array.from(this.roots.values()).filter(root => root.kind === 'scan');
+    },
+
+    /**
+     * Get the stored library root
+     * @returns {Object|null}
+     */
+    getLibraryRoot() {
+        return this.getRoot(this.LIBRARY_ID);
+    },
+
+    /**
+     * Remember a scanned folder, reusing the record if it was scanned before
+     * @param {FileSystemDirectoryHandle} handle - Scanned folder
+     * @returns {Promise<Object>} The root record
+     */
+    async addScanRoot(handle) {
+        for (const root of this.getScanRoots()) {
+            if (await root.handle.isSameEntry(handle)) {
+                // Keep the fresh handle; it carries the permission just granted
+                root.handle = handle;
+                await this._put(root);
+                return root;
+            }
+        }
+
+        return this._put({
+            id: Catalog.generateId(),
+            kind: 'scan',
+            name: handle.name,
+            handle,
+            dateAdded: new Date().toISOString()
+        });
+    },
+
+    /**
+     * Remember the library folder
+     * @param {FileSystemDirectoryHandle} handle - Library folder
+     * @returns {Promise<Object>} The root record
+     */
+    setLibraryRoot(handle) {
+        return this._put({
+            id: this.LIBRARY_ID,
+            kind: 'library',
+            name: handle.name,
+            handle,
+            dateAdded: new Date().toISOString()
+        });
+    },
+
+    /**
+     * Forget a stored folder
+     * @param {string} id - Root ID
+     * @returns {Promise<void>}
+     */
+    async removeRoot(id) {
+        this.roots.delete(id);
+        await Database.write({ handles: { delete: [id] } });
+    },
+
+    /**
+     * Record where a folder is on disk, for building emulator command lines
+     * @param {string} id - Root ID
+     * @param {string} diskPath - Full folder path, e.g. "C:\Games\C64"
+     * @returns {Promise<Object|null>} The updated root record
+     */
+    async setDiskPath(id, diskPath) {
+        const root = this.getRoot(id);
+        if (!root) return null;
+
+        root.diskPath = diskPath || null;
+        return this._put(root);
+    },
+
+    /**
+     * Store a root record
+     * Without a database the root is still usable, but only for this session
+     * @private
+     */
+    async _put(root) {
+        this.roots.set(root.id, root);
+        try {
+            await Database.write({ handles: { put: [root] } });
+        } catch (error) {
+            console.warn(`Could not store folder "${root.name}"; it will be forgotten when the page closes:`, error);
+        }
+        return root;
+    },
+
+    /**
+     * Get the access mode a root needs
+     * @param {Object} root - Root record
+     * @returns {string} 'read' or 'readwrite'
+     */
+    getMode(root) {
+        return root.kind === 'library' ? 'readwrite' : 'read';
+    },
+
+    /**
+     * Check whether a root can be used without prompting
+     * Browsers without the permission API keep access for the page's lifetime
+     * @param {Object} root - Root record
+     * @returns {Promise<string>} 'granted', 'prompt' or 'denied'
+     */
+    async queryPermission(root) {
+        if (typeof root.handle.queryPermission !== 'function') {
+            return 'granted';
+        }
+        return root.handle.queryPermission({ mode: this.getMode(root) });
+    },
+
+    /**
+     * Ask the user to grant access to a root again
+     * Must be called from a user gesture (click)
+     * @param {Object} root - Root record
+     * @returns {Promise<boolean>} Whether access was granted
+     */
+    async requestPermission(root) {
+        if (typeof root.handle.requestPermission !== 'function') {
+            return true;
+        }
+        const state = await root.handle.requestPermission({ mode: this.getMode(root) });
+        return state === 'granted';
+    },
+
+    /**
+     * Get the roots that need to be reconnected before use
+     * @returns {Promise<Array<Object>>}
+     */
+    async getDisconnected() {
+        const disconnected = [];
+        for (const root of this.roots.values()) {
+            if (await this.queryPermission(root) !== 'granted') {
+                disconnected.push(root);
+            }
+        }
+        return disconnected;
+    },
+
+    /**
+     * Open a file below a root
+     * @param {string} rootId - Root ID
+     * @param {string} path - Path relative to the root (as recorded by the scanner)
+     * @returns {Promise<File>}
+     */
+    async getFile(rootId, path) {
+        const root = this.getRoot(rootId);
+        if (!root) {
+            throw new Error('Source folder is no longer known');
+        }
+        if (await this.queryPermission(root) !== 'granted') {
+            throw new Error(`Folder "${root.name}" needs to be reconnected`);
+        }
+
+        const parts = path.split('/').filter(Boolean);
+        let current = root.handle;
+        for (let i = 0; i < parts.length - 1; i++) {
+            current = await current.getDirectoryHandle(parts[i]);
+        }
+
+        const fileHandle = await current.getFileHandle(parts[parts.length - 1]);
+        return fileHandle.getFile();
+    },
+
+    /**
+     * Read a cataloged file's contents from its scan root
+     * Files found inside archives are extracted again
+     * @param {Object} variant - Catalog variant
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async readVariant(variant) {
+        if (!variant.sourceZipPath) {
+            const file = await this.getFile(variant.rootId, variant.originalPath);
+            return file.arrayBuffer();
+        }
+
+        // Entries cataloged before zipEntryPath was kept: the path after the archive's
+        const entryPath = variant.zipEntryPath || variant.originalPath.slice(variant.sourceZipPath.length + 1);
+        const outerPath = Scanner.getOuterArchivePath(variant.sourceZipPath);
+        const archive = await this.getFile(variant.rootId, outerPath);
+
+        return Scanner.extractFromArchive(archive, outerPath, variant.sourceZipPath, entryPath);
+    }
+};
+
+// Export for use in other modules
+window.Roots = Roots;
@@ -0,0 +1,53 @@
+/**
+ * C64 Cataloger - Scan Worker
+ * Runs file analysis and archive extraction off the main thread for ScanPool
+ */
+
+// The shared modules register themselves on window
+self.window = self;
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'hash.js',
+    'tosec.js',
+    'diskimage.js',
+    'program.js',
+    'cartridge.js',
+    'tape.js',
+    'archive.js',
+    'scanner.js'
+);
+
+/**
+ * Run one task from the pool
+ * @param {number} id - Task ID
+ * @param {string} type - Task type ('analyze' or 'archive')
+ * @param {Object} payload - Task data
+ * @returns {Promise<*>} Task result
+ */
+async function runTask(id, type, payload) {
+    switch (type) {
+        case 'analyze':
+            return Scanner.analyzeFile(payload.fileInfo, await payload.file.arrayBuffer());
+        case 'archive':
+            return Scanner.scanArchiveFile(payload.file, payload.path, 0, (count) => {
+                self.postMessage({ id, type: 'progress', count });
+            });
+        default:
+            throw new Error(`Unknown scan task: ${type}`);
+    }
+}
+
+self.onmessage = async (e) => {
+    const { id, type, payload } = e.data;
+
+    try {
+        const result = await runTask(id, type, payload);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};
+
+// Tell the pool the scripts loaded; a load failure fires onerror before this
+self.postMessage({ type: 'ready' });
@@ -1,35 +1,60 @@
 /**
  * C64 Cataloger - File Scanner Module
- * Handles recursive directory scanning, ZIP extraction, and duplicate detection
+ * Handles recursive directory scanning, archive extraction, and duplicate detection
  */
 
 const Scanner = {
     // Supported file extensions
-    SUPPORTED_EXTENSIONS: ['.d64', '.tap', '.crt'],
+    SUPPORTED_EXTENSIONS: ['.d64', '.d71', '.d81', '.g64', '.tap', '.crt', '.prg', '.p00', '.t64'],
 
-    // ZIP file extension
-    ZIP_EXTENSION: '.zip',
+    // Maximum archive nesting depth (ZIP in ZIP, Lynx in .gz, ...)
+    MAX_ARCHIVE_DEPTH: 3,
 
-    // Maximum ZIP nesting depth
-    MAX_ZIP_DEPTH: 3,
+    // How ZIPs found during a scan are handled: always extract, never,
+    // ask for each one, or extract those matching name patterns and a size limit
+    ZIP_POLICY_MODES: ['always', 'never', 'ask', 'rules'],
 
-    // Patterns to strip from filenames for comparison
+    // Patterns to strip from parsed titles for comparison
+    // Bracketed and parenthesized fields are already split off by Tosec.parse()
     STRIP_PATTERNS: [
-        /\[.*?\]/g,           // [a], [crack], [!], etc.
-        /\(.*?\)/g,           // (Year), (Publisher), etc.
         /_v\d+/gi,            // Version numbers like _v2
         /[-_]?(crack|fixed|alt|trainer|ntsc|pal)/gi,
         /[-_]?\d{4}$/,        // Year at end
     ],
 
+    // Loose disk/side markers at the end of a title: "Game_Disk1", "Game disk 2", "Game-side-b"
+    // (TOSEC "(Disk 1 of 2)" fields are already split off by Tosec.parse())
+    DISK_MARKER_PATTERN: /[-_\s]+(disk|disc|side)[-_\s]*(\d+|[a-z])$/i,
+
+    /**
+     * Check whether a filename has a supported C64 extension
+     * @param {string} filename - The filename to check
+     * @returns {boolean}
+     */
+    isSupportedFile(filename) {
+        return this.SUPPORTED_EXTENSIONS.includes(this._getExtension(filename).toLowerCase());
+    },
+
+    /**
+     * Remove a supported C64 extension from a filename
+     * @param {string} filename - The filename
+     * @returns {string} Filename without its extension
+     */
+    stripExtension(filename) {
+        if (!this.isSupportedFile(filename)) {
+            return filename;
+        }
+        return filename.slice(0, -this._getExtension(filename).length);
+    },
+
     /**
      * Extract base game name from filename for comparison
      * @param {string} filename - The filename to process
      * @returns {string} Normalized game name
      */
     normalizeFilename(filename) {
-        // Remove extension
-        let name = filename.replace(/\.(d64|tap|crt)$/i, '');
+        // Title without extension, tags, version or disk number
+        let name = Tosec.parse(filename).title.replace(this.DISK_MARKER_PATTERN, '');
 
         // Apply strip patterns
         for (const pattern of this.STRIP_PATTERNS) {
@@ -64,26 +89,108 @@ const Scanner = {
         }
 
         // Bonus for clean simple names
-        if (/^[a-zA-Z0-9\s\-_]+\.(d64|tap|crt)$/i.test(filename)) {
+        if (this.isSupportedFile(filename) &&
+            /^[a-zA-Z0-9\s\-_]+$/.test(this.stripExtension(filename))) {
             score -= 20;
         }
 
         return score;
     },
 
+    /**
+     * Parse the dump tags that tell variants of the same game apart
+     * @param {string} filename - The filename
+     * @returns {Array<string>} Tags such as 'cr XYZ', 't+5', 'NTSC', 'a2'
+     */
+    parseVariantTags(filename) {
+        const info = Tosec.parse(filename);
+        const tags = info.flags.map(flag => flag.raw);
+
+        if (info.version) {
+            tags.push(info.version);
+        }
+
+        // Video standard from its own field, or loosely from the name (game_ntsc.d64)
+        const video = info.videoStandard || (filename.match(/\b(NTSC|PAL)\b/i) || [])[1];
+        if (video) {
+            tags.push(video.toUpperCase());
+        }
+
+        return tags;
+    },
+
+    /**
+     * Get a short human-readable label for a variant
+     * @param {Array<string>} tags - Tags from parseVariantTags()
+     * @returns {string}
+     */
+    describeVariant(tags) {
+        return tags.length > 0 ? tags.join(', ') : 'Original';
+    },
+
+    /**
+     * Get which disk of a multi-disk set a file is
+     * @param {string} filename - The filename
+     * @returns {Object|null} { number, total, side } or null for single-disk files
+     */
+    getDiskInfo(filename) {
+        const info = Tosec.parse(filename);
+        if (info.disk || info.side) {
+            return {
+                number: info.disk ? info.disk.number : null,
+                total: info.disk ? info.disk.total : null,
+                side: info.side
+            };
+        }
+
+        const marker = info.title.match(this.DISK_MARKER_PATTERN);
+        if (!marker) return null;
+
+        const value = marker[2].toUpperCase();
+        if (/^side$/i.test(marker[1])) {
+            return { number: null, total: null, side: value };
+        }
+        return { number: Tosec._parseNumber(value), total: null, side: null };
+    },
+
+    /**
+     * Get a sort key that puts disks in order (Disk 1 Side A, Disk 1 Side B, Disk 2...)
+     * @param {Object|null} diskInfo - From getDiskInfo()
+     * @returns {number}
+     */
+    getDiskOrder(diskInfo) {
+        if (!diskInfo) return 0;
+        const side = diskInfo.side ? Tosec._parseNumber(diskInfo.side) || 0 : 0;
+        return (diskInfo.number || 1) * 100 + side;
+    },
+
+    /**
+     * Describe a disk of a set in words
+     * @param {Object} diskInfo - From getDiskInfo()
+     * @returns {string} e.g. "Disk 1 of 2", "Side B", "Disk 2 Side A"
+     */
+    describeDisk(diskInfo) {
+        const parts = [];
+        if (diskInfo.number) {
+            parts.push(diskInfo.total ? `Disk ${diskInfo.number} of ${diskInfo.total}` : `Disk ${diskInfo.number}`);
+        }
+        if (diskInfo.side) {
+            parts.push(`Side ${diskInfo.side}`);
+        }
+        return parts.join(' ');
+    },
+
     /**
      * Extract a readable game name from filename
      * @param {string} filename - The filename
      * @returns {string} Human-readable game name
      */
     extractGameName(filename) {
-        // Remove extension
-        let name = filename.replace(/\.(d64|tap|crt)$/i, '');
+        // Title without extension, tags, version or disk number
+        let name = Tosec.parse(filename).title.replace(this.DISK_MARKER_PATTERN, '');
 
-        // Remove common tags/markers
+        // Clean up separators
         name = name
-            .replace(/\[.*?\]/g, '')
-            .replace(/\(.*?\)/g, '')
             .replace(/[-_]/g, ' ')
             .replace(/\s+/g, ' ')
             .trim();
@@ -100,12 +207,73 @@ const Scanner = {
     getFileType(extension) {
         const types = {
             '.d64': 'disk',
+            '.d71': 'disk',
+            '.d81': 'disk',
+            '.g64': 'disk',
             '.tap': 'tape',
-            '.crt': 'cart'
+            '.crt': 'cart',
+            '.prg': 'program',
+            '.p00': 'program',
+            '.t64': 'container'
         };
         return types[extension.toLowerCase()] || 'unknown';
     },
 
+    /**
+     * Hash and parse the contents of a C64 file and attach the results to its entry
+     * @param {Object} fileInfo - File entry from the scanner
+     * @param {ArrayBuffer} data - The file data
+     * @returns {Promise<Object>} The same file entry
+     */
+    async analyzeFile(fileInfo, data) {
+        try {
+            fileInfo.hashes = await Hash.computeAll(data);
+        } catch (error) {
+            console.warn(`Error hashing ${fileInfo.name}:`, error);
+        }
+
+        try {
+            switch (this.getFileType(fileInfo.extension)) {
+                case 'disk': {
+                    const directory = DiskImage.parse(data, fileInfo.extension);
+                    if (directory) fileInfo.diskDirectory = directory;
+                    break;
+                }
+                case 'container': {
+                    const directory = ProgramFile.parseT64(data);
+                    if (directory) fileInfo.diskDirectory = directory;
+                    break;
+                }
+                case 'program': {
+                    const program = ProgramFile.parse(data, fileInfo.extension);
+                    if (program) fileInfo.programInfo = program;
+                    break;
+                }
+                case 'tape': {
+                    const tape = TapeImage.parse(data);
+                    fileInfo.tapeInfo = tape;
+                    if (!tape.valid) {
+                        fileInfo.corrupt = true;
+                        fileInfo.corruptReason = tape.errors.join('; ');
+                    }
+                    break;
+                }
+                case 'cart': {
+                    const cartridge = Cartridge.parse(data);
+                    fileInfo.cartridgeInfo = cartridge;
+                    if (!cartridge.valid) {
+                        fileInfo.corrupt = true;
+                        fileInfo.corruptReason = cartridge.errors.join('; ');
+                    }
+                    break;
+                }
+            }
+        } catch (error) {
+            console.warn(`Error analyzing ${fileInfo.name}:`, error);
+        }
+        return fileInfo;
+    },
+
     /**
      * Scan a directory recursively for C64 files
      * @param {FileSystemDirectoryHandle} dirHandle - Directory handle
@@ -118,10 +286,8 @@ const Scanner = {
 
         await this._scanRecursive(dirHandle, '', files, progressCallback);
 
-        // Deduplicate files
-        const dedupedFiles = this._deduplicateFiles(files);
-
-        return dedupedFiles;
+        // Group variants of the same game
+        return this.groupVariants(files);
     },
 
     /**
@@ -141,14 +307,16 @@ const Scanner = {
                     const ext = this._getExtension(entry.name);
                     if (this.SUPPORTED_EXTENSIONS.includes(ext.toLowerCase())) {
                         const file = await entry.getFile();
-                        files.push({
+                        const fileInfo = {
                             name: entry.name,
                             path: entryPath,
                             handle: entry,
                             extension: ext.toLowerCase(),
                             size: file.size,
                             lastModified: file.lastModified
-                        });
+                        };
+                        await this.analyzeFile(fileInfo, await file.arrayBuffer());
+                        files.push(fileInfo);
 
                         if (progressCallback) {
                             progressCallback(files.length);
@@ -171,28 +339,29 @@ const Scanner = {
     },
 
     /**
-     * Deduplicate files, keeping the cleanest filename for each game
-     * @private
+     * Group files of the same game into variant sets
+     * The cleanest filename leads each group; every other file is kept as a variant
+     * @param {Array<Object>} files - Scanned file entries
+     * @returns {Array<Object>} One entry per game, with all files in `variants`
      */
-    _deduplicateFiles(files) {
+    groupVariants(files) {
         const gameMap = new Map();
 
         for (const file of files) {
             const normalizedName = this.normalizeFilename(file.name);
-            const score = this.getFilenameScore(file.name);
-
             if (!gameMap.has(normalizedName)) {
-                gameMap.set(normalizedName, { file, score });
-            } else {
-                const existing = gameMap.get(normalizedName);
-                if (score < existing.score) {
-                    // This file has a cleaner name, replace
-                    gameMap.set(normalizedName, { file, score });
-                }
+                gameMap.set(normalizedName, []);
             }
+            gameMap.get(normalizedName).push(file);
         }
 
-        return Array.from(gameMap.values()).map(entry => entry.file);
+        // Disks of a set land in the same group; within equally clean names, disk 1 comes first
+        return Array.from(gameMap.values()).map(group => {
+            group.sort((a, b) =>
+                (this.getFilenameScore(a.name) - this.getFilenameScore(b.name)) ||
+                (this.getDiskOrder(this.getDiskInfo(a.name)) - this.getDiskOrder(this.getDiskInfo(b.name))));
+            return { ...group[0], variants: group };
+        });
     },
 
     /**
@@ -229,7 +398,7 @@ const Scanner = {
      * @param {FileSystemDirectoryHandle} dirHandle - Directory handle
      * @param {Function} progressCallback - Progress callback (count)
      * @param {Function} zipPromptCallback - Callback when ZIP found, returns Promise<boolean>
-     * @returns {Promise<Object>} Object with files array and zipFiles array
+     * @returns {Promise<Object>} Object with files array (ungrouped) and zipFiles array
      */
     async scanDirectoryWithZips(dirHandle, progressCallback = null, zipPromptCallback = null) {
         const files = [];
@@ -237,44 +406,233 @@ const Scanner = {
 
         await this._scanRecursiveWithZips(dirHandle, '', files, zipFiles, progressCallback);
 
-        // Deduplicate regular files
-        const dedupedFiles = this._deduplicateFiles(files);
-
+        // Variants are grouped by the caller once ZIP contents are known too
         return {
-            files: dedupedFiles,
+            files: files,
             zipFiles: zipFiles
         };
     },
 
+    /**
+     * List a directory's C64 and ZIP files without reading their contents
+     * Used by rescans, which only analyze files that are new or have changed
+     * @param {FileSystemDirectoryHandle} dirHandle - Directory handle
+     * @param {Function} progressCallback - Progress callback (count)
+     * @returns {Promise<Object>} Object with files array (name, path, size, lastModified) and zipFiles array
+     */
+    async listDirectoryWithZips(dirHandle, progressCallback = null) {
+        const files = [];
+        const zipFiles = [];
+
+        await this._scanRecursiveWithZips(dirHandle, '', files, zipFiles, progressCallback, false);
+
+        return { files, zipFiles };
+    },
+
+    /**
+     * Read a listed file through its handle and analyze it in the worker pool
+     * @param {Object} fileInfo - File entry from listDirectoryWithZips()
+     * @param {AbortSignal} signal - Cancels the analysis
+     * @returns {Promise<Object>} The same file entry
+     */
+    async readAndAnalyze(fileInfo, signal = null) {
+        const file = await fileInfo.handle.getFile();
+
+        // Handles stay on the main thread; only plain fields go to the worker
+        const { handle, ...info } = fileInfo;
+        const result = await ScanPool.run('analyze', { file, fileInfo: info }, { signal });
+        return Object.assign(fileInfo, result);
+    },
+
+    /**
+     * Scan inside an archive in the worker pool
+     * @param {File} archiveFile - The archive
+     * @param {string} archivePath - Path to the archive
+     * @param {Object} options - { signal, onProgress(found) }
+     * @returns {Promise<Array>} File entries found in the archive
+     */
+    scanArchiveInPool(archiveFile, archivePath, options = {}) {
+        return ScanPool.run('archive', { file: archiveFile, path: archivePath }, options);
+    },
+
+    /**
+     * Scan a directory with the worker pool
+     * Listing runs here; reading, unzipping, parsing and hashing run in workers
+     * @param {FileSystemDirectoryHandle} dirHandle - Directory handle
+     * @param {Object} options - Scan options
+     * @param {AbortSignal} options.signal - Cancels the scan
+     * @param {Function} options.onProgress - Called with { phase, done, total, found }
+     * @param {Function} options.shouldExtractZip - Called with each ZIP's info, returns Promise<boolean>
+     * @returns {Promise<Object>} { files (ungrouped), zipCount, skippedZips, failedZips }
+     */
+    async scanWithPool(dirHandle, options = {}) {
+        const { signal = null, onProgress = () => {}, shouldExtractZip = async () => true } = options;
+        const throwIfCancelled = () => {
+            if (signal && signal.aborted) throw ScanPool.createCancelError();
+        };
+
+        onProgress({ phase: 'listing', done: 0, total: 0, found: 0 });
+        const { files, zipFiles } = await this.listDirectoryWithZips(dirHandle, (count) => {
+            onProgress({ phase: 'listing', done: 0, total: 0, found: count });
+        });
+        throwIfCancelled();
+
+        // Decide on every ZIP first so extraction can run in parallel
+        const zipsToScan = [];
+        const skippedZips = [];
+        const failedZips = [];
+        for (const zipInfo of zipFiles) {
+            if (this.canReadArchive(zipInfo.kind) && await shouldExtractZip(zipInfo)) {
+                zipsToScan.push(zipInfo);
+            } else {
+                skippedZips.push({ name: zipInfo.name, path: zipInfo.path, size: zipInfo.file.size });
+            }
+            throwIfCancelled();
+        }
+
+        const total = files.length + zipsToScan.length;
+        let done = 0;
+        let found = files.length;
+        const report = (phase) => onProgress({ phase, done, total, found });
+        report('analyzing');
+
+        // A file that fails to analyze is still listed; only cancellation stops the scan
+        const keepGoing = (fallback, name) => (error) => {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Error scanning ${name}:`, error);
+            return fallback;
+        };
+
+        const analyzed = files.map(fileInfo =>
+            this.readAndAnalyze(fileInfo, signal)
+                .catch(keepGoing(fileInfo, fileInfo.name))
+                .then(result => {
+                    done++;
+                    report('analyzing');
+                    return result;
+                }));
+
+        const extracted = zipsToScan.map(zipInfo =>
+            this.scanArchiveInPool(zipInfo.file, zipInfo.path, {
+                signal,
+                onProgress: (count) => {
+                    found += count;
+                    report('extracting');
+                }
+            })
+                .catch(error => {
+                    if (error.name === 'AbortError') throw error;
+                    console.warn(`Error scanning ${zipInfo.name}:`, error);
+                    failedZips.push({ name: zipInfo.name, path: zipInfo.path, error: error.message });
+                    return [];
+                })
+                .then(result => {
+                    done++;
+                    report('extracting');
+                    return result;
+                }));
+
+        const [directFiles, zipResults] = await Promise.all([
+            Promise.all(analyzed),
+            Promise.all(extracted)
+        ]);
+        const zipExtractedFiles = zipResults.flat();
+
+        return {
+            files: [...directFiles, ...zipExtractedFiles],
+            zipCount: zipExtractedFiles.length,
+            skippedZips,
+            failedZips
+        };
+    },
+
+    /**
+     * Decide what to do with a ZIP under a ZIP policy
+     * Compressed images and C64 archives hold a single game, so they're always read
+     * @param {Object} zipInfo - Archive from the scanner ({ name, file, kind })
+     * @param {Object} policy - { mode, patterns, maxSizeMB }
+     * @returns {string} 'extract', 'skip' or 'ask'
+     */
+    getZipDecision(zipInfo, policy) {
+        if (zipInfo.kind && zipInfo.kind !== 'zip') {
+            return 'extract';
+        }
+
+        switch (policy.mode) {
+            case 'always':
+                return 'extract';
+            case 'never':
+                return 'skip';
+            case 'rules':
+                return this._matchesZipRules(zipInfo, policy) ? 'extract' : 'skip';
+            default:
+                return 'ask';
+        }
+    },
+
+    /**
+     * Check a ZIP against the name patterns and size limit of a 'rules' policy
+     * No patterns means every name matches
+     * @private
+     */
+    _matchesZipRules(zipInfo, policy) {
+        if (policy.maxSizeMB && zipInfo.file.size > policy.maxSizeMB * 1024 * 1024) {
+            return false;
+        }
+
+        const patterns = this.parseZipPatterns(policy.patterns);
+        return patterns.length === 0 || patterns.some(pattern => pattern.test(zipInfo.name));
+    },
+
+    /**
+     * Turn comma-separated filename wildcards (* and ?) into regular expressions
+     * @param {string} text - e.g. "*(Disk*, Games*.zip"
+     * @returns {Array<RegExp>} Case-insensitive whole-name patterns
+     */
+    parseZipPatterns(text) {
+        return (text || '')
+            .split(',')
+            .map(pattern => pattern.trim())
+            .filter(Boolean)
+            .map(pattern => {
+                const source = pattern
+                    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                    .replace(/\*/g, '.*')
+                    .replace(/\?/g, '.');
+                return new RegExp(`^${source}$`, 'i');
+            });
+    },
+
     /**
      * Recursively scan directory contents, collecting ZIP files separately
      * @private
      */
-    async _scanRecursiveWithZips(dirHandle, path, files, zipFiles, progressCallback) {
+    async _scanRecursiveWithZips(dirHandle, path, files, zipFiles, progressCallback, analyze = true) {
         try {
             for await (const entry of dirHandle.values()) {
                 const entryPath = path ? `${path}/${entry.name}` : entry.name;
 
                 if (entry.kind === 'directory') {
                     // Recurse into subdirectory
-                    await this._scanRecursiveWithZips(entry, entryPath, files, zipFiles, progressCallback);
+                    await this._scanRecursiveWithZips(entry, entryPath, files, zipFiles, progressCallback, analyze);
                 } else if (entry.kind === 'file') {
                     const ext = this._getExtension(entry.name);
 
-                    // Check for ZIP files
-                    if (ext.toLowerCase() === this.ZIP_EXTENSION) {
+                    // Check for ZIP files and other archives
+                    if (this.isArchiveFile(entry.name)) {
                         const file = await entry.getFile();
                         zipFiles.push({
                             name: entry.name,
                             path: entryPath,
                             handle: entry,
-                            file: file
+                            file: file,
+                            kind: Archive.getKind(entry.name)
                         });
                     }
                     // Check for C64 files
                     else if (this.SUPPORTED_EXTENSIONS.includes(ext.toLowerCase())) {
                         const file = await entry.getFile();
-                        files.push({
+                        const fileInfo = {
                             name: entry.name,
                             path: entryPath,
                             handle: entry,
@@ -282,7 +640,11 @@ const Scanner = {
                             size: file.size,
                             lastModified: file.lastModified,
                             sourceType: 'direct'
-                        });
+                        };
+                        if (analyze) {
+                            await this.analyzeFile(fileInfo, await file.arrayBuffer());
+                        }
+                        files.push(fileInfo);
 
                         if (progressCallback) {
                             progressCallback(files.length);
@@ -300,10 +662,12 @@ const Scanner = {
      * @param {File} zipFile - The ZIP file to scan
      * @param {string} zipPath - Path to the ZIP file
      * @param {number} depth - Current nesting depth
+     * @param {Function} progressCallback - Called with 1 for every C64 file found
      * @returns {Promise<Array>} Array of file entries found in ZIP (metadata only)
+     * @throws {Error} If the top-level ZIP can't be read; broken nested ZIPs are skipped
      */
-    async scanZipFile(zipFile, zipPath, depth = 0) {
-        if (depth >= this.MAX_ZIP_DEPTH) {
+    async scanZipFile(zipFile, zipPath, depth = 0, progressCallback = null) {
+        if (depth >= this.MAX_ARCHIVE_DEPTH) {
             console.warn(`Skipping deeply nested ZIP: ${zipPath} (depth: ${depth})`);
             return [];
         }
@@ -324,7 +688,7 @@ const Scanner = {
 
                 // Check for C64 files - store metadata only, not file data
                 if (this.SUPPORTED_EXTENSIONS.includes(ext.toLowerCase())) {
-                    files.push({
+                    const fileInfo = {
                         name: filename,
                         path: `${zipPath}/${relativePath}`,
                         extension: ext.toLowerCase(),
@@ -334,10 +698,18 @@ const Scanner = {
                         sourceZipPath: zipPath,
                         zipEntryPath: relativePath
                         // NOTE: fileData is NOT stored here to save memory
-                    });
+                    };
+
+                    // Parse contents now; only the parsed results are kept
+                    await this.analyzeFile(fileInfo, await zipEntry.async('arraybuffer'));
+                    files.push(fileInfo);
+
+                    if (progressCallback) {
+                        progressCallback(1);
+                    }
                 }
-                // Check for nested ZIP files - store info for later processing
-                else if (ext.toLowerCase() === this.ZIP_EXTENSION) {
+                // Check for nested archives - store info for later processing
+                else if (this.isArchiveFile(filename)) {
                     nestedZipInfos.push({
                         relativePath,
                         filename,
@@ -346,32 +718,131 @@ const Scanner = {
                 }
             }
 
-            // Process nested ZIPs one at a time to limit memory usage
+            // Process nested archives one at a time to limit memory usage
             for (const nestedInfo of nestedZipInfos) {
                 try {
                     const nestedZipData = await zip.file(nestedInfo.relativePath).async('blob');
-                    const nestedZipFile = new File([nestedZipData], nestedInfo.filename, { type: 'application/zip' });
+                    const nestedZipFile = new File([nestedZipData], nestedInfo.filename);
 
-                    const nestedFiles = await this.scanZipFile(
+                    const nestedFiles = await this.scanArchiveFile(
                         nestedZipFile,
                         nestedInfo.fullPath,
-                        depth + 1
+                        depth + 1,
+                        progressCallback
                     );
                     files.push(...nestedFiles);
 
                     // Note: nestedZipFile will be garbage collected when out of scope
                 } catch (nestedError) {
-                    console.warn(`Failed to process nested ZIP ${nestedInfo.filename}:`, nestedError);
+                    console.warn(`Failed to process nested archive ${nestedInfo.filename}:`, nestedError);
                 }
             }
 
         } catch (error) {
             console.error(`Error scanning ZIP file ${zipPath}:`, error);
+            if (depth === 0) throw error;
         }
 
         return files;
     },
 
+    /**
+     * Scan inside any supported archive for C64 files
+     * @param {File} archiveFile - The archive to scan
+     * @param {string} archivePath - Path to the archive
+     * @param {number} depth - Current nesting depth
+     * @param {Function} progressCallback - Called with 1 for every C64 file found
+     * @returns {Promise<Array>} Array of file entries found in the archive
+     * @throws {Error} If the top-level archive can't be read; broken nested ones are skipped
+     */
+    async scanArchiveFile(archiveFile, archivePath, depth = 0, progressCallback = null) {
+        const kind = Archive.getKind(archivePath);
+        if (kind === 'zip') {
+            return this.scanZipFile(archiveFile, archivePath, depth, progressCallback);
+        }
+
+        if (depth >= this.MAX_ARCHIVE_DEPTH) {
+            console.warn(`Skipping deeply nested archive: ${archivePath} (depth: ${depth})`);
+            return [];
+        }
+
+        const files = [];
+
+        try {
+            const entries = await Archive.listEntries(kind, await archiveFile.arrayBuffer(), archiveFile.name);
+
+            for (const entry of entries) {
+                const entryPath = `${archivePath}/${entry.name}`;
+                const ext = this._getExtension(entry.name).toLowerCase();
+
+                if (this.SUPPORTED_EXTENSIONS.includes(ext)) {
+                    const fileInfo = {
+                        name: entry.name,
+                        path: entryPath,
+                        extension: ext,
+                        size: entry.data.byteLength,
+                        lastModified: archiveFile.lastModified || Date.now(),
+                        sourceType: kind,
+                        sourceZipPath: archivePath,
+                        zipEntryPath: entry.name
+                    };
+
+                    await this.analyzeFile(fileInfo, entry.data);
+                    files.push(fileInfo);
+
+                    if (progressCallback) {
+                        progressCallback(1);
+                    }
+                } else if (this.isArchiveFile(entry.name)) {
+                    try {
+                        const nestedFile = new File([entry.data], entry.name);
+                        files.push(...await this.scanArchiveFile(nestedFile, entryPath, depth + 1, progressCallback));
+                    } catch (nestedError) {
+                        console.warn(`Failed to process nested archive ${entry.name}:`, nestedError);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error(`Error scanning archive ${archivePath}:`, error);
+            if (depth === 0) throw error;
+        }
+
+        return files;
+    },
+
+    /**
+     * Check whether a file is an archive the scanner looks inside
+     * .gz files only count when they wrap a C64 file or another archive
+     * @param {string} filename - The filename
+     * @returns {boolean}
+     */
+    isArchiveFile(filename) {
+        const kind = Archive.getKind(filename);
+        if (kind !== 'gzip') {
+            return kind !== null;
+        }
+
+        const innerName = Archive.getGzipInnerName(filename);
+        const innerKind = Archive.getKind(innerName);
+        return this.isSupportedFile(innerName) || (innerKind !== null && innerKind !== 'gzip');
+    },
+
+    /**
+     * Check whether archives of a kind can be read in this browser
+     * @param {string} kind - Archive kind from Archive.getKind()
+     * @returns {boolean}
+     */
+    canReadArchive(kind) {
+        switch (kind) {
+            case 'zip':
+                return this.isZipSupported();
+            case 'gzip':
+                return Archive.isGzipSupported();
+            default:
+                return true;
+        }
+    },
+
     /**
      * Extract a single file from a ZIP (on-demand extraction)
      * @param {File} zipFile - The ZIP file
@@ -390,6 +861,58 @@ const Scanner = {
         return await entry.async('arraybuffer');
     },
 
+    /**
+     * Extract a file from an archive, opening nested archives on the way
+     * Paths are as recorded by the scanner: an archived file's path is its
+     * archive's path followed by its path inside the archive
+     * @param {File} archiveFile - The outermost archive
+     * @param {string} archiveFilePath - Path of archiveFile
+     * @param {string} innerArchivePath - Path of the archive holding the file (sourceZipPath)
+     * @param {string} entryPath - Path of the file inside that archive
+     * @returns {Promise<ArrayBuffer>} The file data
+     */
+    async extractFromArchive(archiveFile, archiveFilePath, innerArchivePath, entryPath) {
+        const kind = Archive.getKind(archiveFilePath);
+
+        // The nested archive's path inside this one runs to the first archive name
+        let wanted = entryPath;
+        if (innerArchivePath !== archiveFilePath) {
+            const parts = innerArchivePath.slice(archiveFilePath.length + 1).split('/');
+            const nameIndex = parts.findIndex(part => Archive.getKind(part) !== null);
+            wanted = parts.slice(0, nameIndex + 1).join('/');
+        }
+
+        let data;
+        if (kind === 'zip') {
+            data = await this.extractFileFromZip(archiveFile, wanted);
+        } else {
+            const entries = await Archive.listEntries(kind, await archiveFile.arrayBuffer(), archiveFile.name);
+            const entry = entries.find(e => e.name === wanted);
+            if (!entry) {
+                throw new Error(`Entry not found in archive: ${wanted}`);
+            }
+            data = entry.data;
+        }
+
+        if (wanted === entryPath && innerArchivePath === archiveFilePath) {
+            return data;
+        }
+
+        const nestedPath = `${archiveFilePath}/${wanted}`;
+        return this.extractFromArchive(new File([data], wanted.split('/').pop()), nestedPath, innerArchivePath, entryPath);
+    },
+
+    /**
+     * Get the path of the outermost archive in a scanned file's path
+     * @param {string} path - Path as recorded by the scanner
+     * @returns {string|null} Null if the file isn't inside an archive
+     */
+    getOuterArchivePath(path) {
+        const parts = path.split('/');
+        const archiveIndex = parts.findIndex(part => Archive.getKind(part) !== null);
+        return archiveIndex === -1 ? null : parts.slice(0, archiveIndex + 1).join('/');
+    },
+
     /**
      * Check if JSZip is available
      * @returns {boolean}
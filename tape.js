@@ -0,0 +1,226 @@
+/**
+ * C64 Cataloger - Tape Module
+ * Parses TAP headers, estimates play time and guesses the tape loader
+ */
+
+const TapeImage = {
+    // TAP header layout
+    SIGNATURE: 'C64-TAPE-RAW',
+    HEADER_SIZE: 0x14,
+
+    // Target machines (header byte $0D)
+    PLATFORMS: ['C64', 'VIC-20', 'C16/Plus4', 'PET', 'C5x0', 'C6x0/C7x0'],
+
+    // Video standards (header byte $0E) and their CPU clocks in Hz
+    VIDEO_STANDARDS: ['PAL', 'NTSC', 'Old NTSC', 'PAL-N'],
+    CLOCKS: [985248, 1022727, 1022727, 1023440],
+
+    // Pulse-width signatures of common loaders (TAP byte values, 8 cycles each)
+    // Turbo loaders are listed first; every turbo tape also carries a CBM ROM header
+    LOADERS: [
+        { name: 'Turbotape', pulses: [0x1A, 0x28] },
+        { name: 'Freeload', pulses: [0x24, 0x42] },
+        { name: 'Novaload', pulses: [0x24, 0x56] },
+        { name: 'CBM ROM loader', pulses: [0x30, 0x42, 0x56] }
+    ],
+
+    // How far a pulse may drift from a signature value and still count
+    PULSE_TOLERANCE: 3,
+
+    // Minimum share of all pulses a loader needs to be reported
+    MIN_LOADER_SHARE: 0.1,
+
+    // Tape length categories in seconds (upper bounds)
+    LENGTH_CATEGORIES: [
+        { id: 'short', label: 'Short (< 5 min)', max: 5 * 60 },
+        { id: 'medium', label: 'Medium (5-15 min)', max: 15 * 60 },
+        { id: 'long', label: 'Long (> 15 min)', max: Infinity }
+    ],
+
+    /**
+     * Parse a TAP image
+     * Always returns an info object; problems are listed in `errors` and clear `valid`
+     * @param {ArrayBuffer} buffer - The file data
+     * @returns {Object} Tape info
+     */
+    parse(buffer) {
+        const data = new Uint8Array(buffer);
+        const info = {
+            valid: false,
+            errors: [],
+            version: null,
+            platform: null,
+            videoStandard: null,
+            dataSize: 0,
+            pulseCount: 0,
+            durationSeconds: 0,
+            loader: null,
+            loaders: []
+        };
+
+        if (data.length < this.HEADER_SIZE) {
+            info.errors.push('File is too short for a TAP header');
+            return info;
+        }
+
+        const signature = String.fromCharCode(...data.subarray(0, 12));
+        if (signature !== this.SIGNATURE) {
+            info.errors.push('Bad TAP signature');
+            return info;
+        }
+
+        info.version = data[0x0C];
+        if (info.version > 2) {
+            info.errors.push(`Unknown TAP version ${info.version}`);
+        }
+
+        info.platform = this.PLATFORMS[data[0x0D]] || `Unknown (${data[0x0D]})`;
+        info.videoStandard = this.VIDEO_STANDARDS[data[0x0E]] || 'PAL';
+        info.dataSize = new DataView(buffer).getUint32(0x10, true);
+
+        let end = this.HEADER_SIZE + info.dataSize;
+        if (end > data.length) {
+            info.errors.push('Truncated pulse data');
+            end = data.length;
+        }
+
+        const { totalCycles, pulseCount, histogram } = this._scanPulses(data, info.version, end);
+        const clock = this.CLOCKS[data[0x0E]] || this.CLOCKS[0];
+
+        info.pulseCount = pulseCount;
+        info.durationSeconds = Math.round(totalCycles / clock);
+        info.loaders = this.detectLoaders(histogram, pulseCount);
+        info.loader = info.loaders.length > 0 ? info.loaders[0].name : 'Unknown';
+        info.valid = info.errors.length === 0;
+
+        return info;
+    },
+
+    /**
+     * Walk the pulse data, summing cycles and building a pulse-width histogram
+     * @private
+     */
+    _scanPulses(data, version, end) {
+        const histogram = new Uint32Array(256);
+        let totalCycles = 0;
+        let pulseCount = 0;
+        let pos = this.HEADER_SIZE;
+
+        while (pos < end) {
+            const value = data[pos++];
+
+            if (value !== 0) {
+                totalCycles += value * 8;
+                histogram[value]++;
+                pulseCount++;
+            } else if (version === 0) {
+                // Version 0: a zero byte is an overflow of unknown length
+                totalCycles += 256 * 8;
+            } else {
+                // Version 1/2: a zero byte is followed by a 24-bit cycle count
+                if (pos + 3 > end) break;
+                totalCycles += data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16);
+                pos += 3;
+            }
+        }
+
+        return { totalCycles, pulseCount, histogram };
+    },
+
+    /**
+     * Best-effort loader detection from a pulse-width histogram
+     * A loader matches when every one of its signature pulses is present and the
+     * signature accounts for a meaningful share of all pulses
+     * @param {Uint32Array} histogram - Pulse counts indexed by TAP byte value
+     * @param {number} pulseCount - Total number of pulses
+     * @returns {Array<Object>} Matching loaders ({ name, share }), most likely first
+     */
+    detectLoaders(histogram, pulseCount) {
+        if (pulseCount === 0) return [];
+
+        const matches = [];
+
+        for (const loader of this.LOADERS) {
+            const counts = loader.pulses.map(pulse => this._countNear(histogram, pulse));
+            const matched = counts.reduce((sum, count) => sum + count, 0);
+            const share = matched / pulseCount;
+
+            // Each signature pulse must contribute, or it's a different loader
+            const complete = counts.every(count => count >= matched * 0.05);
+
+            if (complete && share >= this.MIN_LOADER_SHARE) {
+                matches.push({ name: loader.name, share: Math.round(share * 100) / 100 });
+            }
+        }
+
+        // A turbo loader beats the CBM ROM header that precedes it
+        return matches.sort((a, b) => {
+            const aTurbo = a.name !== 'CBM ROM loader';
+            const bTurbo = b.name !== 'CBM ROM loader';
+            if (aTurbo !== bTurbo) return aTurbo ? -1 : 1;
+            return b.share - a.share;
+        });
+    },
+
+    /**
+     * Count pulses within tolerance of a signature value
+     * @private
+     */
+    _countNear(histogram, pulse) {
+        let count = 0;
+        const from = Math.max(1, pulse - this.PULSE_TOLERANCE);
+        const to = Math.min(255, pulse + this.PULSE_TOLERANCE);
+        for (let value = from; value <= to; value++) {
+            count += histogram[value];
+        }
+        return count;
+    },
+
+    /**
+     * Get the length category for a play time
+     * @param {number} seconds - Play time in seconds
+     * @returns {string} Category id (short, medium, long)
+     */
+    getLengthCategory(seconds) {
+        return this.LENGTH_CATEGORIES.find(category => seconds < category.max).id;
+    },
+
+    /**
+     * Format a play time as m:ss
+     * @param {number} seconds - Play time in seconds
+     * @returns {string} Formatted time
+     */
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Format parsed tape info for display
+     * @param {Object} info - Tape info from parse()
+     * @returns {string} Multi-line description
+     */
+    formatInfo(info) {
+        const lines = [];
+
+        if (info.version !== null) {
+            lines.push(`Version:  ${info.version}`);
+            lines.push(`Machine:  ${info.platform} (${info.videoStandard})`);
+            lines.push(`Length:   ${this.formatDuration(info.durationSeconds)}`);
+            lines.push(`Pulses:   ${info.pulseCount}`);
+            lines.push(`Loader:   ${info.loader}`);
+            for (const loader of info.loaders) {
+                lines.push(`  ${loader.name.padEnd(15)} ${Math.round(loader.share * 100)}%`);
+            }
+        }
+
+        for (const error of info.errors) {
+            lines.push(`! ${error}`);
+        }
+
+        return lines.join('\n');
+    }
+};
+
+// Export for use in other modules
+window.TapeImage = TapeImage;
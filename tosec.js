@@ -0,0 +1,252 @@
+/**
+ * C64 Cataloger - TOSEC Filename Module
+ * Parses TOSEC and GoodC64 style filenames into their individual fields
+ */
+
+const Tosec = {
+    // Leading articles that TOSEC moves to the end of a title ("Last Ninja, The")
+    ARTICLES: ['The', 'A', 'An', 'Der', 'Die', 'Das', 'Le', 'La', 'Les', 'El', 'Il'],
+
+    // Dates: 1985, 198x, 19xx, 1985-04, 1985-04-12
+    DATE_PATTERN: /^(1[89]|20)[\dx]{2}(-[\dx]{2}(-[\dx]{2})?)?$/i,
+
+    // Version at the end of the title: v1.2, v2, Rev 1
+    VERSION_PATTERN: /\s+(v\d+(\.\d+)*[a-z]?|Rev\s+\d+)$/i,
+
+    VIDEO_PATTERN: /^(PAL|NTSC|PAL-NTSC|NTSC-PAL|PAL60|SECAM|MPAL)$/i,
+    COUNTRY_PATTERN: /^[A-Z]{2}(-[A-Z]{2})*$/,
+    LANGUAGE_PATTERN: /^([a-z]{2}(-[a-z]{2})*|M\d+)$/,
+    COPYRIGHT_PATTERN: /^(CW|CW-R|FW|GW|GW-R|LW|PD|SW|SW-R)$/,
+    DEV_STATUS_PATTERN: /^(alpha|beta|preview|pre-release|proto)$/i,
+    SYSTEM_PATTERN: /^(C64|C128|C64DTV|C16|Plus4|VIC20)$/i,
+    DEMO_PATTERN: /^demo(-[a-z]+)?$/i,
+
+    // (Disk 1 of 3), (Tape 2 of 2 Side B), (Side A)
+    MEDIA_PATTERN: /^(Disk|Disc|Tape|Part|File|Cart)\s+(\w+)(?:\s+of\s+(\w+))?(?:\s+Side\s+([A-Z0-9]))?$/i,
+    SIDE_PATTERN: /^Side\s+([A-Z0-9])$/i,
+
+    // GoodTools single-letter region codes
+    GOOD_REGIONS: {
+        U: ['US'], E: ['EU'], J: ['JP'], G: ['DE'], F: ['FR'], S: ['ES'], I: ['IT'],
+        UE: ['US', 'EU'], JU: ['JP', 'US'], JUE: ['JP', 'US', 'EU'], W: ['World']
+    },
+
+    // Dump flag codes and their meaning
+    FLAGS: {
+        '!': 'Verified good dump',
+        a: 'Alternate',
+        b: 'Bad dump',
+        cr: 'Cracked',
+        f: 'Fixed',
+        h: 'Hacked',
+        m: 'Modified',
+        o: 'Overdump',
+        p: 'Pirate',
+        t: 'Trained',
+        tr: 'Translated',
+        u: 'Underdump',
+        v: 'Virus'
+    },
+
+    // [cr Name], [a2], [t+5], [tr de]; the code must be followed by a digit, space, '+' or end
+    FLAG_PATTERN: /^(cr|tr|[abfhmoptuv])(\d*)(?:(?:\s+|(?=\+))(.*))?$/,
+
+    /**
+     * Parse a TOSEC or GoodC64 filename
+     * @param {string} filename - The filename (extension optional)
+     * @returns {Object} Parsed fields
+     */
+    parse(filename) {
+        const name = Scanner.stripExtension(filename).trim();
+        const result = {
+            title: '',
+            version: null,
+            demo: null,
+            date: null,
+            year: null,
+            publisher: null,
+            system: null,
+            videoStandard: null,
+            countries: [],
+            languages: [],
+            copyright: null,
+            devStatus: null,
+            media: null,
+            disk: null,
+            side: null,
+            mediaLabel: null,
+            flags: [],
+            verified: false,
+            extra: []
+        };
+
+        // Title is everything before the first ( or [
+        const firstGroup = name.search(/[([]/);
+        let title = (firstGroup === -1 ? name : name.slice(0, firstGroup)).trim();
+        const groups = firstGroup === -1 ? '' : name.slice(firstGroup);
+
+        const version = title.match(this.VERSION_PATTERN);
+        if (version) {
+            result.version = version[1];
+            title = title.slice(0, version.index).trim();
+        }
+        result.title = this._restoreArticle(title);
+
+        let expectPublisher = false;
+
+        for (const match of groups.matchAll(/\(([^)]*)\)|\[([^\]]*)\]/g)) {
+            if (match[2] !== undefined) {
+                this._parseFlag(match[2].trim(), result);
+                continue;
+            }
+
+            const value = match[1].trim();
+
+            // The publisher always directly follows the date; "-" means unknown
+            if (expectPublisher) {
+                expectPublisher = false;
+                if (value === '-') {
+                    continue;
+                }
+                if (!this._isKnownGroup(value)) {
+                    result.publisher = value;
+                    continue;
+                }
+            }
+
+            if (!result.date && this.DATE_PATTERN.test(value)) {
+                result.date = value;
+                result.year = /^\d{4}/.test(value) ? value.slice(0, 4) : null;
+                expectPublisher = true;
+            } else if (!result.date && !result.demo && this.DEMO_PATTERN.test(value)) {
+                result.demo = value;
+            } else {
+                this._parseGroup(value, result);
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Check whether a value can only be a non-publisher field
+     * Two-letter codes are left out on purpose: "(EA)" after a date is a publisher
+     * @private
+     */
+    _isKnownGroup(value) {
+        return this.VIDEO_PATTERN.test(value) ||
+            this.DEV_STATUS_PATTERN.test(value) ||
+            this.SYSTEM_PATTERN.test(value) ||
+            this.MEDIA_PATTERN.test(value) ||
+            this.SIDE_PATTERN.test(value);
+    },
+
+    /**
+     * Classify a parenthesized group that isn't the date or publisher
+     * @private
+     */
+    _parseGroup(value, result) {
+        let media;
+
+        if (this.VIDEO_PATTERN.test(value)) {
+            result.videoStandard = value.toUpperCase();
+        } else if (this.GOOD_REGIONS[value]) {
+            result.countries.push(...this.GOOD_REGIONS[value]);
+        } else if (this.SYSTEM_PATTERN.test(value)) {
+            result.system = value;
+        } else if (this.COPYRIGHT_PATTERN.test(value)) {
+            result.copyright = value;
+        } else if (this.COUNTRY_PATTERN.test(value)) {
+            result.countries.push(...value.split('-'));
+        } else if (this.LANGUAGE_PATTERN.test(value)) {
+            result.languages.push(...value.split('-'));
+        } else if (this.DEV_STATUS_PATTERN.test(value)) {
+            result.devStatus = value.toLowerCase();
+        } else if ((media = value.match(this.MEDIA_PATTERN))) {
+            result.media = {
+                type: media[1].toLowerCase() === 'disc' ? 'disk' : media[1].toLowerCase(),
+                number: this._parseNumber(media[2]),
+                total: media[3] ? this._parseNumber(media[3]) : null
+            };
+            if (result.media.type === 'disk') {
+                result.disk = { number: result.media.number, total: result.media.total };
+            }
+            if (media[4]) {
+                result.side = media[4].toUpperCase();
+            }
+        } else if ((media = value.match(this.SIDE_PATTERN))) {
+            result.side = media[1].toUpperCase();
+        } else if (!result.mediaLabel && result.media) {
+            result.mediaLabel = value;
+        } else {
+            result.extra.push(value);
+        }
+    },
+
+    /**
+     * Parse a bracketed dump flag
+     * @private
+     */
+    _parseFlag(value, result) {
+        if (value === '!') {
+            result.verified = true;
+            result.flags.push({ code: '!', number: null, value: null, raw: value });
+            return;
+        }
+
+        const match = value.match(this.FLAG_PATTERN);
+        if (!match) {
+            result.extra.push(value);
+            return;
+        }
+
+        result.flags.push({
+            code: match[1],
+            number: match[2] ? parseInt(match[2], 10) : null,
+            value: match[3] ? match[3].trim() : null,
+            raw: value
+        });
+    },
+
+    /**
+     * Parse a media number, which may be a digit or a letter (Disk A)
+     * @private
+     */
+    _parseNumber(value) {
+        const number = parseInt(value, 10);
+        if (!isNaN(number)) return number;
+        if (/^[A-Z]$/i.test(value)) return value.toUpperCase().charCodeAt(0) - 64;
+        return null;
+    },
+
+    /**
+     * Move a trailing article back to the front ("Last Ninja, The" -> "The Last Ninja")
+     * @private
+     */
+    _restoreArticle(title) {
+        const match = title.match(/^(.*),\s+(\w+)$/);
+        if (match && this.ARTICLES.includes(match[2])) {
+            return `${match[2]} ${match[1]}`;
+        }
+        return title;
+    },
+
+    /**
+     * Describe a dump flag in words
+     * @param {Object} flag - Flag from parse()
+     * @returns {string}
+     */
+    describeFlag(flag) {
+        let text = this.FLAGS[flag.code] || flag.code;
+        if (flag.number !== null) text += ` ${flag.number}`;
+        if (flag.value) {
+            text += flag.code === 'cr' || flag.code === 'h' || flag.code === 'f'
+                ? ` by ${flag.value}`
+                : ` ${flag.value}`;
+        }
+        return text;
+    }
+};
+
+// Export for use in other modules
+window.Tosec = Tosec;
@@ -0,0 +1,262 @@
+/**
+ * C64 Cataloger - Scan Worker Pool
+ * Runs scan tasks (file analysis, archive extraction) in a pool of Web Workers
+ */
+
+const ScanPool = {
+    WORKER_SCRIPT: 'scan-worker.js',
+
+    // Leave one core for the page itself
+    MAX_WORKERS: 4,
+
+    // Pool state
+    workers: [],
+    queue: [],
+    nextTaskId: 1,
+
+    // Set once worker creation fails (e.g. when opened from file://)
+    _workersUnavailable: false,
+
+    // Main-thread fallback runs one task at a time to bound memory use
+    _inlineChain: Promise.resolve(),
+
+    // Abort signals already listened to; each gets one listener however many tasks share it
+    _watchedSignals: new WeakSet(),
+
+    /**
+     * Get the number of workers to run
+     * @returns {number}
+     */
+    getPoolSize() {
+        const cores = navigator.hardwareConcurrency || 2;
+        return Math.max(1, Math.min(cores - 1, this.MAX_WORKERS));
+    },
+
+    /**
+     * Create the error used to reject cancelled tasks
+     * Named AbortError, like the DOM's own cancellations
+     * @returns {Error}
+     */
+    createCancelError() {
+        const error = new Error('Scan cancelled');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    /**
+     * Run a task in the pool
+     * @param {string} type - Task type ('analyze' or 'archive')
+     * @param {Object} payload - Task data (must be structured-cloneable)
+     * @param {Object} options - { signal, onProgress(count) }
+     * @returns {Promise<*>} Task result
+     */
+    run(type, payload, options = {}) {
+        const { signal = null, onProgress = null } = options;
+
+        if (signal && signal.aborted) {
+            return Promise.reject(this.createCancelError());
+        }
+
+        if (!this._ensureWorkers()) {
+            return this._runInline(type, payload, onProgress, signal);
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = { id: this.nextTaskId++, type, payload, onProgress, signal, resolve, reject };
+
+            if (signal && !this._watchedSignals.has(signal)) {
+                this._watchedSignals.add(signal);
+                signal.addEventListener('abort', () => this._cancelSignal(signal), { once: true });
+            }
+
+            this.queue.push(task);
+            this._dispatch();
+        });
+    },
+
+    /**
+     * Cancel every queued and running task
+     * Running workers are terminated; new ones are started on the next run()
+     */
+    cancel() {
+        const error = this.createCancelError();
+
+        for (const worker of this.workers) {
+            if (worker.task) worker.task.reject(error);
+            worker.instance.terminate();
+        }
+        for (const task of this.queue) {
+            task.reject(error);
+        }
+
+        this.workers = [];
+        this.queue = [];
+    },
+
+    /**
+     * Cancel the tasks started with an abort signal, leaving other tasks running
+     * Workers busy with them are terminated and replaced
+     * @private
+     */
+    _cancelSignal(signal) {
+        const error = this.createCancelError();
+
+        this.queue = this.queue.filter(task => {
+            if (task.signal !== signal) return true;
+            task.reject(error);
+            return false;
+        });
+
+        this.workers = this.workers.filter(worker => {
+            if (!worker.task || worker.task.signal !== signal) return true;
+            worker.task.reject(error);
+            worker.instance.terminate();
+            return false;
+        });
+
+        // Without workers, whatever was left has already moved to the main thread
+        if (this._ensureWorkers()) {
+            this._dispatch();
+        }
+    },
+
+    /**
+     * Start workers until the pool is full
+     * @private
+     * @returns {boolean} Whether workers are available
+     */
+    _ensureWorkers() {
+        if (this._workersUnavailable || typeof Worker === 'undefined') {
+            return false;
+        }
+        if (this.workers.length >= this.getPoolSize()) {
+            return true;
+        }
+
+        try {
+            for (let i = this.workers.length; i < this.getPoolSize(); i++) {
+                const worker = { instance: new Worker(this.WORKER_SCRIPT), task: null, ready: false };
+                worker.instance.onmessage = (e) => this._handleMessage(worker, e.data);
+                worker.instance.onerror = (e) => this._handleCrash(worker, e);
+                this.workers.push(worker);
+            }
+            return true;
+        } catch (error) {
+            console.warn('Scan workers unavailable, scanning on the main thread:', error);
+            this._workersUnavailable = true;
+            this._runPendingInline();
+            return false;
+        }
+    },
+
+    /**
+     * Hand queued tasks to idle workers
+     * @private
+     */
+    _dispatch() {
+        for (const worker of this.workers) {
+            if (worker.task || this.queue.length === 0) continue;
+
+            const task = this.queue.shift();
+            worker.task = task;
+            worker.instance.postMessage({ id: task.id, type: task.type, payload: task.payload });
+        }
+    },
+
+    /**
+     * Handle a message from a worker
+     * @private
+     */
+    _handleMessage(worker, message) {
+        if (message.type === 'ready') {
+            worker.ready = true;
+            return;
+        }
+
+        const task = worker.task;
+        if (!task || message.id !== task.id) return;
+
+        if (message.type === 'progress') {
+            if (task.onProgress) task.onProgress(message.count);
+            return;
+        }
+
+        worker.task = null;
+        if (message.type === 'result') {
+            task.resolve(message.result);
+        } else {
+            task.reject(new Error(message.message));
+        }
+        this._dispatch();
+    },
+
+    /**
+     * Handle a worker that failed to load or crashed
+     * @private
+     */
+    _handleCrash(worker, event) {
+        event.preventDefault();
+        const error = new Error(event.message || 'Scan worker failed');
+
+        // A worker that never loaded means workers can't be used at all:
+        // hand every pending task to the main thread instead
+        if (!worker.ready) {
+            console.warn('Scan worker failed to start, scanning on the main thread:', error);
+            this._workersUnavailable = true;
+            this._runPendingInline();
+            return;
+        }
+
+        if (worker.task) {
+            worker.task.reject(error);
+            worker.task = null;
+        }
+        this._dispatch();
+    },
+
+    /**
+     * Hand every queued and running task to the main thread, stopping the workers
+     * @private
+     */
+    _runPendingInline() {
+        const pending = [
+            ...this.workers.map(w => w.task).filter(Boolean),
+            ...this.queue
+        ];
+        this.workers.forEach(w => w.instance.terminate());
+        this.workers = [];
+        this.queue = [];
+
+        for (const task of pending) {
+            this._runInline(task.type, task.payload, task.onProgress, task.signal).then(task.resolve, task.reject);
+        }
+    },
+
+    /**
+     * Run a task on the main thread when workers aren't available
+     * @private
+     */
+    _runInline(type, payload, onProgress, signal = null) {
+        const run = async () => {
+            if (signal && signal.aborted) {
+                throw this.createCancelError();
+            }
+
+            switch (type) {
+                case 'analyze':
+                    return Scanner.analyzeFile(payload.fileInfo, await payload.file.arrayBuffer());
+                case 'archive':
+                    return Scanner.scanArchiveFile(payload.file, payload.path, 0, onProgress);
+                default:
+                    throw new Error(`Unknown scan task: ${type}`);
+            }
+        };
+
+        const result = this._inlineChain.then(run);
+        this._inlineChain = result.catch(() => {});
+        return result;
+    }
+};
+
+// Export for use in other modules
+window.ScanPool = ScanPool;